@@ -10,19 +10,61 @@ const Buffer = require('node:buffer').Buffer;
 const crypto = require('node:crypto');
 const debug = require('debug')('connect-session');
 const deprecate = require('depd')('connect-session');
+const EventEmitter = require('node:events').EventEmitter;
 const onHeaders = require('on-headers');
 const parseUrl = require('parseurl');
 const uid = require('ufid').generator({ size: 24 });
 
+const { call, fromCallback, invoke, setRetryPolicy } = require('./session/async');
+const { trace } = require('./session/tracing');
 const Cookie = require('./session/cookie');
+const cookieHeader = require('./session/cookie-header');
+const CompressedStore = require('./session/compressed');
+const CookieStore = require('./session/cookie-store');
+const EncryptedStore = require('./session/encrypted');
+const FileStore = require('./session/file');
 const MemoryStore = require('./session/memory');
 const Session = require('./session/session');
+const serializer = require('./session/serializer');
+const Signer = require('./session/signer');
+const SqliteStore = require('./session/sqlite');
+const TieredStore = require('./session/tiered');
 const Store = require('./session/store');
+const tracker = require('./session/tracker');
 
 // environment
 
 const env = process.env.NODE_ENV;
 
+/**
+ * Number of attempts to save a session merged after concurrent modification.
+ * @private
+ */
+
+const MAX_MERGE_ATTEMPTS = 3;
+
+/**
+ * Store operations with configurable timeouts.
+ * @private
+ */
+
+const STORE_OPERATIONS = ['get', 'set', 'destroy', 'touch'];
+
+/**
+ * Codes of errors retried by default.
+ * @private
+ */
+
+const TRANSIENT_ERRORS = [
+  'EAI_AGAIN',
+  'ECONNREFUSED',
+  'ECONNRESET',
+  'EHOSTUNREACH',
+  'ENETUNREACH',
+  'EPIPE',
+  'ETIMEDOUT'
+];
+
 /**
  * Expose the middleware.
  */
@@ -37,6 +79,17 @@ session.Store = Store;
 session.Cookie = Cookie;
 session.Session = Session;
 session.MemoryStore = MemoryStore;
+session.FileStore = FileStore;
+session.EncryptedStore = EncryptedStore;
+session.CompressedStore = CompressedStore;
+session.SqliteStore = SqliteStore;
+session.TieredStore = TieredStore;
+
+/**
+ * Expose serializers.
+ */
+
+session.taggedJSON = serializer;
 
 /**
  * Warning message for `MemoryStore` usage in production.
@@ -48,19 +101,64 @@ const warning =
   'designed for a production environment, as it will leak\n' +
   'memory, and will not scale past a single process.';
 
+/**
+ * Maximum size in bytes of a cookie name and value kept by browsers.
+ * @private
+ */
+
+const MAX_COOKIE_SIZE = 4096;
+
+/**
+ * Signer of the last secret exposed by cookie-parser.
+ * @private
+ */
+
+const parserSigner = { secret: undefined, signer: undefined };
+
 /**
  * Setup session store with the given `options`.
  *
+ * The middleware emits `create`, `load`, `miss`, `save`, `touch`, `destroy`,
+ * `regenerate` and `cookie` events with `{ sessionID, req, duration, reason }`
+ * details, and `error` events with the `error` only when they are listened to.
+ * Cookies signed with a retired secret are re-signed with `resign` reason.
+ *
+ * Store calls are traced on `connect-session:<operation>` diagnostics tracing
+ * channels for `get`, `set`, `touch`, `destroy`, `regenerate` and `load`
+ * operations, with `{ sessionID, store }` context.
+ *
  * @param {Object} [options]
+ * @param {Number} [options.absoluteTimeout] Maximum session lifetime in ms regardless of activity
  * @param {Object} [options.cookie] Options for cookie
+ * @param {String|Function} [options.conflict=overwrite] Handling of concurrent modifications: "overwrite", "fail" or a merge function
+ * @param {Array} [options.cookieKeys] Keys for keeping the session data encrypted in the cookie instead of the store
+ * @param {Store} [options.fallbackStore] Session store used while the store is disconnected
  * @param {Function} [options.genid]
+ * @param {Number} [options.idleTimeout] Time in ms between requests after which the session ends
+ * @param {Number} [options.maxSize] Maximum size in bytes of the serialized session saved to the store
  * @param {String} [options.name=connect.sid] Session ID cookie name
+ * @param {String} [options.onStoreUnavailable=pass] Handling of requests while the store is disconnected: "pass", "fail" or "queue"
+ * @param {String|Function} [options.oversize=error] Handling of sessions over maxSize, or client-side sessions over the 4096 bytes cookie limit: "error", "drop" or a function trimming the session
+ * @param {Number} [options.queueTimeout=10000] Maximum time in ms a request is queued until the store connects
  * @param {Boolean} [options.resave] Resave unmodified sessions back to the store
+ * @param {Object} [options.retry] Retrying store operations failing with transient errors
+ * @param {Number} [options.retry.attempts=3] Maximum number of attempts
+ * @param {Number} [options.retry.delay=50] Delay in ms before the first retry, doubled for each next one
+ * @param {Number} [options.retry.maxDelay=1000] Maximum delay in ms between attempts
+ * @param {Function} [options.retry.transient] Predicate deciding if the error is transient; network errors by default
  * @param {Boolean} [options.rolling] Enable/disable rolling session expiration
+ * @param {Object} [options.rotate] Periodic session ID rotation
+ * @param {Number} options.rotate.interval Time in ms after which a new session ID is issued
+ * @param {Number} [options.rotate.grace=30000] Time in ms the old session ID remains valid
  * @param {Boolean} [options.saveUninitialized] Save uninitialized sessions to the store
+ * @param {Array<String|Buffer>} [options.secrets] Secrets for signing the session ID cookie without cookie-parser; the first one signs, all verify
+ * @param {Object} [options.serializer] Session data serializer with `stringify` and `parse` methods
  * @param {Object} [options.store=MemoryStore] Session store
+ * @param {Boolean} [options.storeReady=true] Whether the store is connected initially, or emits `connect` later
+ * @param {Number|Object} [options.storeTimeout] Time in ms to wait for store operations: for all, or by "get", "set", "destroy" and "touch"
+ * @param {String} [options.tracking=proxy] Detection of session modifications: "proxy" tracking nested values, "flags" set only by assigning session keys or calling `markModified()`, or "hash"
  * @param {String} [options.unset]
- * @return {Function} middleware
+ * @return {Function} middleware, also an `EventEmitter` of session lifecycle events
  * @public
  */
 
@@ -76,8 +174,44 @@ function session(options) {
   // get the session cookie name
   const name = opts.name || opts.key || 'connect.sid';
 
+  // get the client-side sessions option
+  const clientSessions = opts.cookieKeys !== undefined;
+
+  if (clientSessions && opts.store) {
+    throw new TypeError('store option cannot be used with cookieKeys option');
+  }
+
+  if (clientSessions && opts.secrets !== undefined) {
+    throw new TypeError('secrets option cannot be used with cookieKeys option');
+  }
+
+  // get the session ID cookie signer for parsing cookies without cookie-parser
+  const signer = opts.secrets !== undefined ? new Signer(opts.secrets) : undefined;
+
+  if (clientSessions && opts.fallbackStore) {
+    throw new TypeError('fallbackStore option cannot be used with cookieKeys option');
+  }
+
   // get the session store
-  const store = opts.store || new MemoryStore();
+  const store = clientSessions ? new CookieStore(opts.cookieKeys) : opts.store || new MemoryStore();
+
+  // get the store used while the session store is disconnected
+  const fallbackStore = opts.fallbackStore;
+
+  // get the initial store readiness option
+  const storeInitiallyReady = opts.storeReady ?? true;
+
+  // get the unavailable store option
+  const onStoreUnavailable = opts.onStoreUnavailable ?? 'pass';
+
+  // get the queued request timeout option
+  const queueTimeout = opts.queueTimeout ?? 10 * 1000;
+
+  // get the store operation timeout option
+  const storeTimeout = opts.storeTimeout;
+
+  // get the store retry option
+  const retryOptions = opts.retry;
 
   // get the resave session option
   let resaveSession = opts.resave;
@@ -88,6 +222,30 @@ function session(options) {
   // get the save uninitialized session option
   let saveUninitializedSession = opts.saveUninitialized;
 
+  // get the session ID rotation option
+  const rotateOptions = opts.rotate;
+
+  // get the absolute session lifetime option
+  const absoluteTimeout = opts.absoluteTimeout;
+
+  // get the idle session timeout option
+  const idleTimeout = opts.idleTimeout;
+
+  // get the concurrent modification option
+  const conflict = opts.conflict ?? 'overwrite';
+
+  // get the change tracking option
+  const tracking = opts.tracking ?? 'proxy';
+
+  // get the session serializer
+  const serializer = opts.serializer ?? store.serializer ?? JSON;
+
+  // get the session size limit option
+  const maxSize = opts.maxSize;
+
+  // get the oversized session option
+  const oversize = opts.oversize ?? 'error';
+
   if (typeof generateId !== 'function') {
     throw new TypeError('genid option must be a function');
   }
@@ -109,6 +267,119 @@ function session(options) {
   // TODO: switch to "destroy" on next major
   const unsetDestroy = opts.unset === 'destroy';
 
+  if (rotateOptions !== undefined && !isPositiveNumber(rotateOptions?.interval)) {
+    throw new TypeError('rotate.interval option must be a positive number');
+  }
+
+  if (rotateOptions?.grace !== undefined && !(isPositiveNumber(rotateOptions.grace) || rotateOptions.grace === 0)) {
+    throw new TypeError('rotate.grace option must be a non-negative number');
+  }
+
+  if (absoluteTimeout !== undefined && !isPositiveNumber(absoluteTimeout)) {
+    throw new TypeError('absoluteTimeout option must be a positive number');
+  }
+
+  if (idleTimeout !== undefined && !isPositiveNumber(idleTimeout)) {
+    throw new TypeError('idleTimeout option must be a positive number');
+  }
+
+  if (conflict !== 'overwrite' && conflict !== 'fail' && typeof conflict !== 'function') {
+    throw new TypeError('conflict option must be "overwrite", "fail" or a function');
+  }
+
+  if (maxSize !== undefined && !isPositiveNumber(maxSize)) {
+    throw new TypeError('maxSize option must be a positive number');
+  }
+
+  if (oversize !== 'error' && oversize !== 'drop' && typeof oversize !== 'function') {
+    throw new TypeError('oversize option must be "error", "drop" or a function');
+  }
+
+  if (onStoreUnavailable !== 'pass' && onStoreUnavailable !== 'fail' && onStoreUnavailable !== 'queue') {
+    throw new TypeError('onStoreUnavailable option must be "pass", "fail" or "queue"');
+  }
+
+  if (fallbackStore && opts.onStoreUnavailable !== undefined) {
+    throw new TypeError('onStoreUnavailable option cannot be used with fallbackStore option');
+  }
+
+  if (!isPositiveNumber(queueTimeout)) {
+    throw new TypeError('queueTimeout option must be a positive number');
+  }
+
+  if (typeof storeTimeout === 'object' && storeTimeout !== null) {
+    for (const [operation, ms] of Object.entries(storeTimeout)) {
+      if (!STORE_OPERATIONS.includes(operation)) {
+        throw new TypeError(`storeTimeout option has unknown operation "${operation}"`);
+      }
+
+      if (ms !== undefined && !isPositiveNumber(ms)) {
+        throw new TypeError(`storeTimeout.${operation} option must be a positive number`);
+      }
+    }
+  } else if (storeTimeout !== undefined && !isPositiveNumber(storeTimeout)) {
+    throw new TypeError('storeTimeout option must be a positive number or an object');
+  }
+
+  if (retryOptions !== undefined && (retryOptions === null || typeof retryOptions !== 'object')) {
+    throw new TypeError('retry option must be an object');
+  }
+
+  if (retryOptions?.attempts !== undefined && !(Number.isInteger(retryOptions.attempts) && retryOptions.attempts > 0)) {
+    throw new TypeError('retry.attempts option must be a positive integer');
+  }
+
+  if (retryOptions?.delay !== undefined && !(isPositiveNumber(retryOptions.delay) || retryOptions.delay === 0)) {
+    throw new TypeError('retry.delay option must be a non-negative number');
+  }
+
+  if (
+    retryOptions?.maxDelay !== undefined &&
+    !(isPositiveNumber(retryOptions.maxDelay) || retryOptions.maxDelay === 0)
+  ) {
+    throw new TypeError('retry.maxDelay option must be a non-negative number');
+  }
+
+  if (retryOptions?.transient !== undefined && typeof retryOptions.transient !== 'function') {
+    throw new TypeError('retry.transient option must be a function');
+  }
+
+  if (typeof storeInitiallyReady !== 'boolean') {
+    throw new TypeError('storeReady option must be a boolean');
+  }
+
+  if (tracking !== 'flags' && tracking !== 'proxy' && tracking !== 'hash') {
+    throw new TypeError('tracking option must be "flags", "proxy" or "hash"');
+  }
+
+  if (typeof serializer.stringify !== 'function' || typeof serializer.parse !== 'function') {
+    throw new TypeError('serializer option must have stringify and parse methods');
+  }
+
+  if (fallbackStore && typeof fallbackStore.all !== 'function') {
+    throw new TypeError('fallbackStore option requires a store implementing all');
+  }
+
+  // stores serialize sessions with the same serializer
+  store.serializer = serializer;
+
+  if (fallbackStore) {
+    fallbackStore.serializer = serializer;
+  }
+
+  // saves are versioned unless the last write wins
+  const versionedSaves = conflict !== 'overwrite';
+
+  if (
+    versionedSaves &&
+    (typeof store.compareAndSet !== 'function' || (fallbackStore && typeof fallbackStore.compareAndSet !== 'function'))
+  ) {
+    throw new TypeError('conflict option requires a store implementing compareAndSet');
+  }
+
+  const rotateInterval = rotateOptions?.interval;
+  const rotateGrace = rotateOptions?.grace ?? 30 * 1000;
+
   // notify user that this store is not
   // meant for a production environment
   /* istanbul ignore next: not tested */
@@ -125,29 +396,196 @@ function session(options) {
     if (cookieOptions.secure === 'auto') {
       req.session.cookie.secure = req.secure;
     }
+
+    if (rotateInterval) {
+      setMeta(req.session, { issuedAt: Date.now() });
+    }
+
+    if (absoluteTimeout) {
+      setMeta(req.session, { createdAt: Date.now() });
+    }
+
+    if (idleTimeout) {
+      setMeta(req.session, { accessedAt: Date.now() });
+    }
+
+    req.session = tracked(req.session);
   };
 
-  const storeImplementsTouch = typeof store.touch === 'function';
+  if (fallbackStore) {
+    fallbackStore.generate = store.generate;
+  }
+
+  if (retryOptions) {
+    const policy = {
+      attempts: retryOptions.attempts ?? 3,
+      delay: retryOptions.delay ?? 50,
+      maxDelay: retryOptions.maxDelay ?? 1000,
+      transient: retryOptions.transient ?? isTransient
+    };
+
+    setRetryPolicy(store, policy);
+
+    if (fallbackStore) {
+      setRetryPolicy(fallbackStore, policy);
+    }
+  }
+
+  // fail store operation if it does not call back in time
+  function timed(operation, callback) {
+    const ms = typeof storeTimeout === 'object' ? storeTimeout[operation] : storeTimeout;
+    return ms ? withTimeout(operation, ms, callback) : callback;
+  }
+
+  // update metadata kept with the session data
+  function setMeta(sess, values) {
+    sess[Session.META] = { ...sess[Session.META], ...values };
+  }
+
+  // wrap session to track its modifications
+  function tracked(sess) {
+    return tracking === 'hash' ? sess : tracker.track(sess, tracking === 'proxy');
+  }
+
+  // get value changing with each modification of the session
+  function fingerprint(sess) {
+    return tracker.changes(sess) ?? hash(sess, serializer);
+  }
 
   // register event listeners for the store to track readiness
-  let storeReady = true;
+  let storeConnected = storeInitiallyReady;
+  let storeReady = storeInitiallyReady;
   store.on('disconnect', function ondisconnect() {
+    storeConnected = false;
     storeReady = false;
   });
   store.on('connect', function onconnect() {
-    storeReady = true;
+    storeConnected = true;
+
+    if (!fallbackStore) {
+      storeReady = true;
+      dequeue();
+      return;
+    }
+
+    // keep using the fallback store until its sessions are written back
+    reconcile().then(() => {
+      storeReady = storeConnected;
+    });
   });
 
-  return function session(req, res, next) {
+  // requests waiting for the store to connect
+  const queue = new Set();
+
+  // IDs of sessions missing in the fallback store that were destroyed or
+  // regenerated meanwhile, to destroy in the store once it reconnects
+  const staleIds = new Set();
+
+  // resume request once the store connects, or fail it after the queue timeout
+  function enqueue(resume, fail) {
+    const timer = setTimeout(() => {
+      queue.delete(entry);
+      fail(createUnavailableError());
+    }, queueTimeout);
+
+    function entry() {
+      clearTimeout(timer);
+      queue.delete(entry);
+      resume();
+    }
+
+    queue.add(entry);
+  }
+
+  // resume queued requests
+  function dequeue() {
+    for (const entry of [...queue]) {
+      entry();
+    }
+  }
+
+  // move sessions saved while the store was disconnected back to the store,
+  // until none are left as requests keep using the fallback store meanwhile
+  async function reconcile() {
+    const failed = new Set();
+
+    while (storeConnected) {
+      const stale = [...staleIds].filter(sid => !failed.has(sid));
+
+      for (const sid of stale) {
+        try {
+          await call(store, 'destroy', [sid]);
+          staleIds.delete(sid);
+          debug('destroyed stale %s', sid);
+        } catch (err) {
+          // keep the ID until the next reconnect
+          debug('cannot destroy stale %s %s', sid, err.message);
+          failed.add(sid);
+          middleware.emit('warning', err);
+        }
+      }
+
+      let sessions;
+
+      try {
+        sessions = await call(fallbackStore, 'all', []);
+      } catch (err) {
+        debug('cannot read fallback sessions %s', err.message);
+        middleware.emit('warning', err);
+        return;
+      }
+
+      const entries = Object.entries(sessions || {}).filter(([sid]) => !failed.has(sid));
+
+      if (entries.length === 0 && stale.length === 0) {
+        return;
+      }
+
+      for (const [sid, sess] of entries) {
+        try {
+          await call(store, 'set', [sid, sess]);
+
+          // session saved again meanwhile is moved in the next round
+          const current = await call(fallbackStore, 'get', [sid]);
+
+          if (current && serializer.stringify(current) !== serializer.stringify(sess)) {
+            continue;
+          }
+
+          await call(fallbackStore, 'destroy', [sid]);
+          debug('reconciled %s', sid);
+        } catch (err) {
+          // keep the session in the fallback store until the next reconnect
+          debug('cannot reconcile %s %s', sid, err.message);
+          failed.add(sid);
+          middleware.emit('warning', err);
+        }
+      }
+    }
+  }
+
+  const middleware = function session(req, res, next) {
     // self-awareness
     if (req.session) {
       next();
       return;
     }
 
-    // Handle connection as if there is no session if
-    // the store has temporarily disconnected etc
-    if (!storeReady) {
+    // Handle connection without the store if it
+    // has temporarily disconnected etc
+    if (!storeReady && !fallbackStore) {
+      if (onStoreUnavailable === 'fail') {
+        debug('store is disconnected, failing request');
+        next(createUnavailableError());
+        return;
+      }
+
+      if (onStoreUnavailable === 'queue') {
+        debug('store is disconnected, queuing request');
+        enqueue(() => middleware(req, res, next), next);
+        return;
+      }
+
       debug('store is disconnected');
       next();
       return;
@@ -162,26 +600,65 @@ function session(options) {
     }
 
     // ensure a secret is available or bail
-    if (!req.secret) {
+    if (!req.secret && !clientSessions && !signer) {
       next(new Error('secret option required for sessions'));
       return;
     }
 
+    let loadedId;
+    let missedId;
     let originalHash;
     let originalId;
     let savedHash;
+    let snapshot;
+    let resendCookie = false;
+    let retiredSecret = false;
+    let saveUninitialized = saveUninitializedSession;
     let touched = false;
 
+    // time the request reached the middleware
+    const start = performance.now();
+
+    // use the fallback store while the store is disconnected
+    const sessionStore = storeReady ? store : fallbackStore;
+    const storeImplementsPatch = typeof sessionStore.patch === 'function';
+    const storeImplementsTouch = typeof sessionStore.touch === 'function';
+
+    if (!storeReady) {
+      debug('store is disconnected, using fallback store');
+    }
+
     // expose store
-    req.sessionStore = store;
+    req.sessionStore = sessionStore;
+
+    // expose size of the serialized session
+    Object.defineProperty(req, 'sessionSize', {
+      configurable: true,
+      get: () => (req.session ? sizeOf(req.session, serializer) : 0)
+    });
 
     // get the session ID from the cookie
-    const cookieId = (req.sessionID = getcookie(req, name));
+    const sessionCookie = clientSessions ? undefined : getcookie(req, name, signer);
+    let cookieId = (req.sessionID = sessionCookie?.value);
+
+    // get the session data from the cookie
+    const cookieSession = clientSessions ? store.decode(req.cookies?.[name], name) : undefined;
+
+    if (cookieSession) {
+      cookieId = req.sessionID = cookieSession.id;
+    }
 
     // set-cookie
     onHeaders(res, () => {
       if (!req.session) {
         debug('no session');
+
+        if (clientSessions && cookieId && (unsetDestroy || req.session === undefined)) {
+          // clear destroyed client-side session
+          res.cookie(name, '', { domain: cookieOptions.domain, path: cookieOptions.path, expires: new Date(0) });
+          emit('cookie', { reason: 'clear' });
+        }
+
         return;
       }
 
@@ -201,13 +678,31 @@ function session(options) {
         touched = true;
       }
 
+      limitLifetime(req.session);
+
       // set cookie
       try {
-        res.cookie(name, req.sessionID, {
-          ...req.session.cookie.data,
-          signed: true
-        });
+        if (clientSessions) {
+          const value = encodeSession(req.session);
+
+          if (value === undefined) {
+            return;
+          }
+
+          res.cookie(name, value, req.session.cookie.data);
+        } else if (signer) {
+          const value = `s:${signer.sign(req.sessionID)}`;
+          res.appendHeader('Set-Cookie', cookieHeader.serialize(name, value, req.session.cookie.data));
+        } else {
+          res.cookie(name, req.sessionID, {
+            ...req.session.cookie.data,
+            signed: true
+          });
+        }
+
+        emit('cookie', { reason: cookieReason() });
       } catch (err) {
+        emit('error', { error: err, reason: 'cookie' });
         setImmediate(next, err);
       }
     });
@@ -274,9 +769,13 @@ function session(options) {
       if (shouldDestroy(req)) {
         // destroy session
         debug('destroying');
-        store.destroy(req.sessionID, function ondestroy(err) {
+        const destroyStart = performance.now();
+        invokeStore('destroy', [req.sessionID], function ondestroy(err) {
           if (err) {
+            emit('error', { error: err, reason: 'destroy' });
             setImmediate(next, err);
+          } else {
+            emit('destroy', { duration: performance.now() - destroyStart, reason: 'unset' });
           }
 
           debug('destroyed');
@@ -298,6 +797,8 @@ function session(options) {
         touched = true;
       }
 
+      limitLifetime(req.session);
+
       if (shouldSave(req)) {
         req.session.save(function onsave(err) {
           if (err) {
@@ -312,9 +813,13 @@ function session(options) {
       if (storeImplementsTouch && shouldTouch(req)) {
         // store implements touch method
         debug('touching');
-        store.touch(req.sessionID, req.session, function ontouch(err) {
+        const touchStart = performance.now();
+        touch(function ontouch(err) {
           if (err) {
+            emit('error', { error: err, reason: 'touch' });
             setImmediate(next, err);
+          } else {
+            emit('touch', { duration: performance.now() - touchStart });
           }
 
           debug('touched');
@@ -328,18 +833,21 @@ function session(options) {
     };
 
     // generate the session
-    function generate() {
-      store.generate(req);
+    function generate(reason) {
+      sessionStore.generate(req);
       originalId = req.sessionID;
-      originalHash = hash(req.session);
+      originalHash = fingerprint(req.session);
       wrapmethods(req.session);
+      emit('create', { reason });
     }
 
     // inflate the session
     function inflate(req, sess) {
-      store.createSession(req, sess);
-      originalId = req.sessionID;
-      originalHash = hash(sess);
+      sessionStore.createSession(req, sess);
+      req.session = tracked(req.session);
+      loadedId = originalId = req.sessionID;
+      originalHash = fingerprint(req.session);
+      takeSnapshot(req.session);
 
       if (!resaveSession) {
         savedHash = originalHash;
@@ -348,9 +856,18 @@ function session(options) {
       wrapmethods(req.session);
     }
 
+    // remember serialized keys of the stored session to patch only the changed ones
+    function takeSnapshot(sess) {
+      if (storeImplementsPatch) {
+        snapshot = snapshotOf(sess, serializer);
+      }
+    }
+
     function rewrapmethods(sess, callback) {
       return function (...args) {
         if (req.session !== sess) {
+          req.session = tracked(req.session);
+          takeSnapshot(req.session);
           wrapmethods(req.session);
         }
 
@@ -358,122 +875,730 @@ function session(options) {
       };
     }
 
-    // wrap session methods
-    function wrapmethods(sess) {
-      const _reload = sess.reload;
-      const _save = sess.save;
-
-      function reload(callback) {
-        debug('reloading %s', this.id);
-        _reload.call(this, rewrapmethods(this, callback));
+    // emit session lifecycle `event`; errors only when listened to
+    function emit(event, details) {
+      if (event === 'error' && middleware.listenerCount('error') === 0) {
+        return;
       }
 
-      function save(...args) {
-        debug('saving %s', this.id);
-        savedHash = hash(this);
-        _save.apply(this, args);
+      middleware.emit(event, { sessionID: req.sessionID, req, ...details });
+    }
+
+    // get the reason for setting the cookie
+    function cookieReason() {
+      if (cookieId !== req.sessionID) {
+        return 'new';
       }
 
-      Object.defineProperty(sess, 'reload', {
-        configurable: true,
-        enumerable: false,
-        value: reload,
-        writable: true
-      });
+      if (resendCookie) {
+        return retiredSecret ? 'resign' : 'resend';
+      }
 
-      Object.defineProperty(sess, 'save', {
-        configurable: true,
-        enumerable: false,
-        value: save,
-        writable: true
-      });
+      return rollingSessions ? 'rolling' : 'modified';
     }
 
-    // check if session has been modified
-    function isModified(sess) {
-      return originalId !== sess.id || originalHash !== hash(sess);
+    // invoke store operation failing if it does not call back in time
+    function invokeStore(operation, args, callback) {
+      invoke(sessionStore, operation, args, timed(operation, callback));
     }
 
-    // check if session has been saved
-    function isSaved(sess) {
-      return originalId === sess.id && savedHash === hash(sess);
-    }
+    // load the session, following a rotated session ID to its replacement
+    function load(sid, callback) {
+      invokeStore('get', [sid], (err, sess) => {
+        const rotatedTo = sess?.cookie?.rotatedTo;
 
-    // determine if session should be destroyed
-    function shouldDestroy(req) {
-      return req.sessionID && unsetDestroy && req.session == null;
+        if (err || !rotatedTo) {
+          callback(err, sess);
+          return;
+        }
+
+        if (new Date(sess.cookie.expires) <= Date.now()) {
+          debug('rotated session %s past grace period', sid);
+          callback();
+          return;
+        }
+
+        debug('session %s rotated to %s', sid, rotatedTo);
+        req.sessionID = rotatedTo;
+        resendCookie = true;
+        invokeStore('get', [rotatedTo], callback);
+      });
     }
 
-    // determine if session should be saved to store
-    function shouldSave(req) {
-      // cannot set cookie without a session ID
-      if (typeof req.sessionID !== 'string') {
-        debug('session ignored because of bogus req.sessionID %o', req.sessionID);
-        return false;
+    // get the ID another request rotated the loaded session ID `sid` to meanwhile
+    function findRotated(sid, callback) {
+      if (!rotateInterval || clientSessions || sid !== loadedId) {
+        callback();
+        return;
       }
 
-      return !saveUninitializedSession && !savedHash && cookieId !== req.sessionID
-        ? isModified(req.session)
-        : !isSaved(req.session);
+      invoke(sessionStore, 'get', [sid], (err, sess) => callback(err, sess?.cookie?.rotatedTo));
     }
 
-    // determine if session should be touched
-    function shouldTouch(req) {
-      // cannot set cookie without a session ID
-      if (typeof req.sessionID !== 'string') {
-        debug('session ignored because of bogus req.sessionID %o', req.sessionID);
-        return false;
-      }
+    // touch the session unless its ID was rotated, keeping the grace period pointer intact
+    function touch(callback) {
+      findRotated(req.sessionID, (err, rotatedTo) => {
+        if (err || rotatedTo) {
+          callback(err);
+          return;
+        }
 
-      return cookieId === req.sessionID && !shouldSave(req);
+        invokeStore('touch', [req.sessionID, req.session], callback);
+      });
     }
 
-    // determine if cookie should be set on response
+    // save session under the ID another request rotated it to,
+    // as its old ID only points to the new one for the grace period
+    function redirect(sess, sid, callback) {
+      debug('session %s rotated to %s meanwhile', sess.id, sid);
+
+      if (versionedSaves) {
+        callback(createConflictError());
+        return;
+      }
+
+      setMeta(sess, { issuedAt: Date.now() });
+
+      if (!storeImplementsPatch || snapshot?.id !== sess.id) {
+        invoke(sessionStore, 'set', [sid, sess], callback);
+        return;
+      }
+
+      // keep changes the rotating request made
+      patch(sess, sid, (err, patched) => {
+        if (err || patched !== false) {
+          callback(err);
+          return;
+        }
+
+        invoke(sessionStore, 'set', [sid, sess], callback);
+      });
+    }
+
+    // replace session ID keeping the old one valid for the grace period
+    function rotate(callback) {
+      const sid = req.sessionID;
+
+      const rotateStart = performance.now();
+
+      req.sessionID = generateId(req);
+      debug('rotating %s to %s', sid, req.sessionID);
+
+      req.session = tracked(new Session(req, req.session));
+      setMeta(req.session, { issuedAt: Date.now() });
+      // the session is not stored under the new ID yet
+      req.session[Session.VERSION] = 0;
+      originalId = req.sessionID;
+      resendCookie = true;
+      wrapmethods(req.session);
+
+      req.session.save(err => {
+        if (err) {
+          callback(err);
+          return;
+        }
+
+        const pointer = {
+          cookie: {
+            expires: new Date(Date.now() + rotateGrace),
+            rotatedTo: req.sessionID
+          }
+        };
+        invokeStore('set', [sid, pointer], err => {
+          if (err) {
+            emit('error', { error: err, reason: 'rotate' });
+          } else {
+            emit('regenerate', { duration: performance.now() - rotateStart, previousID: sid, reason: 'rotate' });
+          }
+
+          callback(err);
+        });
+      });
+    }
+
+    // determine if session ID should be rotated
+    function shouldRotate(sess) {
+      return rotateInterval && Date.now() - sess[Session.META].issuedAt >= rotateInterval;
+    }
+
+    // determine if session outlived the absolute or idle timeout
+    function isTimedOut(sess) {
+      const now = Date.now();
+
+      // sessions created before timeouts were enabled
+      const createdAt = sess[Session.META]?.createdAt ?? now;
+      const accessedAt = sess[Session.META]?.accessedAt ?? now;
+
+      return (
+        (absoluteTimeout && now - createdAt >= absoluteTimeout) || (idleTimeout && now - accessedAt >= idleTimeout)
+      );
+    }
+
+    // ensure cookie does not expire past the absolute timeout
+    function limitLifetime(sess) {
+      const cookie = sess.cookie;
+
+      if (!absoluteTimeout || !cookie.expires) {
+        return;
+      }
+
+      const deadline = sess[Session.META].createdAt + absoluteTimeout;
+
+      if (cookie.expires.valueOf() > deadline) {
+        const originalMaxAge = cookie.originalMaxAge;
+        cookie.expires = new Date(deadline);
+        // keep originalMaxAge intact
+        cookie.originalMaxAge = originalMaxAge;
+      }
+    }
+
+    // destroy the session missing in the fallback store once the store reconnects,
+    // as its cookie is kept
+    function forgetMissed() {
+      if (missedId !== undefined) {
+        staleIds.add(missedId);
+        missedId = undefined;
+      }
+    }
+
+    // update metadata of the loaded session, which needs saving then
+    function updateMeta(values) {
+      setMeta(req.session, values);
+      originalHash = savedHash = undefined;
+    }
+
+    // finish loading the session
+    function loaded() {
+      const now = Date.now();
+
+      if (rotateInterval && req.session[Session.META]?.issuedAt === undefined) {
+        // sessions created before rotation was enabled
+        updateMeta({ issuedAt: now });
+      }
+
+      if (absoluteTimeout && req.session[Session.META]?.createdAt === undefined) {
+        // sessions created before the absolute timeout was enabled
+        updateMeta({ createdAt: now });
+      }
+
+      // record each access with the session data, as touch may only extend its expiration
+      if (idleTimeout) {
+        updateMeta({ accessedAt: now });
+      }
+
+      if (shouldRotate(req.session)) {
+        rotate(next);
+        return;
+      }
+
+      next();
+    }
+
+    // wrap session methods
+    function wrapmethods(sess) {
+      const _destroy = sess.destroy;
+      const _regenerate = sess.regenerate;
+      const _reload = sess.reload;
+      const _save = sess.save;
+
+      function destroy(callback) {
+        if (typeof callback !== 'function') {
+          return fromCallback(done => destroy.call(this, done));
+        }
+
+        const destroyStart = performance.now();
+        const done = timed('destroy', err => {
+          if (err) {
+            emit('error', { error: err, reason: 'destroy' });
+          } else {
+            forgetMissed();
+            emit('destroy', { duration: performance.now() - destroyStart, reason: 'explicit' });
+          }
+
+          callback(err);
+        });
+
+        return _destroy.call(this, done);
+      }
+
+      function regenerate(callback) {
+        if (typeof callback !== 'function') {
+          return fromCallback(done => regenerate.call(this, done));
+        }
+
+        const previousID = this.id;
+        const regenerateStart = performance.now();
+        const done = timed('destroy', err => {
+          if (req.session !== this) {
+            // generated session is already tracked
+            wrapmethods(req.session);
+          }
+
+          if (err) {
+            emit('error', { error: err, reason: 'regenerate' });
+          } else {
+            forgetMissed();
+            emit('regenerate', { duration: performance.now() - regenerateStart, previousID, reason: 'explicit' });
+          }
+
+          callback(err);
+        });
+
+        // regenerating destroys the session in the store
+        return _regenerate.call(this, done);
+      }
+
+      function reload(callback) {
+        if (typeof callback !== 'function') {
+          return fromCallback(done => reload.call(this, done));
+        }
+
+        debug('reloading %s', this.id);
+
+        if (clientSessions) {
+          // client-side session data is only found in the request cookie
+          let err;
+          try {
+            const data = store.decode(req.cookies?.[name], name);
+            if (data?.id === this.id) {
+              store.createSession(req, data.sess);
+            } else {
+              err = new Error('failed to load session');
+            }
+          } catch (e) {
+            err = e;
+          }
+
+          setImmediate(rewrapmethods(this, callback), err);
+          return this;
+        }
+
+        return _reload.call(this, timed('get', rewrapmethods(this, callback)));
+      }
+
+      function save(fn) {
+        if (typeof fn !== 'function') {
+          return fromCallback(done => save.call(this, done));
+        }
+
+        // way of saving the session, unless it was dropped
+        let reason;
+        const saveStart = performance.now();
+        const callback = timed('set', err => {
+          if (err) {
+            emit('error', { error: err, reason: 'save' });
+          } else if (reason) {
+            emit('save', { duration: performance.now() - saveStart, reason });
+          }
+
+          fn(err);
+        });
+
+        debug('saving %s', this.id);
+        const err = maxSize ? limitSize(this) : undefined;
+        savedHash = fingerprint(this);
+
+        if (err) {
+          if (oversize !== 'drop') {
+            callback(err);
+            return this;
+          }
+
+          debug('dropping oversized session %s', this.id);
+          middleware.emit('warning', err);
+          callback();
+          return this;
+        }
+
+        findRotated(this.id, (err, rotatedTo) => {
+          if (err) {
+            callback(err);
+            return;
+          }
+
+          if (rotatedTo) {
+            reason = 'set';
+            redirect(this, rotatedTo, callback);
+            return;
+          }
+
+          if (versionedSaves) {
+            reason = 'commit';
+            commit(this, callback);
+            return;
+          }
+
+          if (storeImplementsPatch && snapshot?.id === this.id) {
+            reason = 'patch';
+            patch(this, this.id, (err, patched) => {
+              if (err || patched !== false) {
+                callback(err);
+                return;
+              }
+
+              // session is no longer stored, e.g. evicted, expired or its ID just rotated
+              debug('session %s missing, saving it whole', this.id);
+              reason = 'set';
+              findRotated(this.id, (err, rotatedTo) => {
+                if (err) {
+                  callback(err);
+                  return;
+                }
+
+                if (rotatedTo) {
+                  redirect(this, rotatedTo, callback);
+                  return;
+                }
+
+                set(this, callback);
+              });
+            });
+            return;
+          }
+
+          reason = 'set';
+          set(this, callback);
+        });
+
+        return this;
+      }
+
+      // save the whole session
+      function set(sess, callback) {
+        _save.call(sess, err => {
+          if (!err) {
+            takeSnapshot(sess);
+          }
+
+          callback(err);
+        });
+      }
+
+      Object.defineProperty(sess, 'destroy', {
+        configurable: true,
+        enumerable: false,
+        value: destroy,
+        writable: true
+      });
+
+      Object.defineProperty(sess, 'regenerate', {
+        configurable: true,
+        enumerable: false,
+        value: regenerate,
+        writable: true
+      });
+
+      Object.defineProperty(sess, 'reload', {
+        configurable: true,
+        enumerable: false,
+        value: reload,
+        writable: true
+      });
+
+      Object.defineProperty(sess, 'save', {
+        configurable: true,
+        enumerable: false,
+        value: save,
+        writable: true
+      });
+    }
+
+    // trim session over the size limit; return error if it is still over
+    function limitSize(sess) {
+      let size = sizeOf(sess, serializer);
+
+      if (size > maxSize && typeof oversize === 'function') {
+        try {
+          oversize(sess, size);
+        } catch (err) {
+          return err;
+        }
+
+        size = sizeOf(sess, serializer);
+      }
+
+      if (size > maxSize) {
+        return createSizeError(size, maxSize);
+      }
+    }
+
+    // encrypt client-side session into cookie value, trimming it to fit in the cookie;
+    // return nothing if it is dropped
+    function encodeSession(sess) {
+      let value = store.encode(req.sessionID, sess, name);
+      let size = name.length + 1 + value.length;
+
+      if (size > MAX_COOKIE_SIZE && typeof oversize === 'function') {
+        oversize(sess, size);
+        value = store.encode(req.sessionID, sess, name);
+        size = name.length + 1 + value.length;
+      }
+
+      if (size <= MAX_COOKIE_SIZE) {
+        return value;
+      }
+
+      const err = createSizeError(size, MAX_COOKIE_SIZE);
+
+      if (oversize !== 'drop') {
+        throw err;
+      }
+
+      debug('dropping oversized session cookie %s', req.sessionID);
+      middleware.emit('warning', err);
+    }
+
+    // save session only if the stored version has not changed since it was loaded
+    function commit(sess, callback, attempt = 1) {
+      const version = sess[Session.VERSION] ?? 0;
+
+      invoke(sessionStore, 'compareAndSet', [sess.id, sess, version], (err, saved) => {
+        if (err) {
+          callback(err);
+          return;
+        }
+
+        if (saved) {
+          sess[Session.VERSION] = version + 1;
+          callback();
+          return;
+        }
+
+        debug('session %s modified concurrently', sess.id);
+
+        if (conflict === 'fail' || attempt >= MAX_MERGE_ATTEMPTS) {
+          callback(createConflictError());
+          return;
+        }
+
+        invoke(sessionStore, 'get', [sess.id], (err, stored) => {
+          if (err) {
+            callback(err);
+            return;
+          }
+
+          const { [Session.VERSION]: storedVersion = 0, [Session.META]: _storedMeta, ...storedData } = stored || {};
+          let merged;
+
+          try {
+            merged = conflict(storedData, { ...sess });
+          } catch (err) {
+            callback(err);
+            return;
+          }
+
+          // replace session data keeping the cookie
+          for (const key of Object.keys(sess)) {
+            if (key !== 'cookie') {
+              delete sess[key];
+            }
+          }
+
+          for (const key of Object.keys(merged || {})) {
+            if (key !== 'cookie') {
+              sess[key] = merged[key];
+            }
+          }
+
+          sess[Session.VERSION] = storedVersion;
+          savedHash = fingerprint(sess);
+          commit(sess, callback, attempt + 1);
+        });
+      });
+    }
+
+    // save only the top-level keys changed since the session was stored, under `sid`
+    function patch(sess, sid, callback) {
+      const changes = { cookie: sess.cookie };
+      const current = snapshotOf(sess, serializer);
+      const removedKeys = [];
+
+      for (const [key, value] of current.values) {
+        if (snapshot.values.get(key) !== value) {
+          changes[key] = sess[key];
+        }
+      }
+
+      for (const key of snapshot.values.keys()) {
+        if (!current.values.has(key)) {
+          removedKeys.push(key);
+        }
+      }
+
+      debug('patching %s', sid);
+      invoke(sessionStore, 'patch', [sid, changes, removedKeys], (err, patched) => {
+        if (!err && patched !== false) {
+          snapshot = current;
+        }
+
+        callback(err, patched);
+      });
+    }
+
+    // check if session has been modified
+    function isModified(sess) {
+      return originalId !== sess.id || originalHash !== fingerprint(sess);
+    }
+
+    // check if session has been saved
+    function isSaved(sess) {
+      return originalId === sess.id && savedHash === fingerprint(sess);
+    }
+
+    // determine if session should be destroyed
+    function shouldDestroy(req) {
+      return req.sessionID && unsetDestroy && req.session == null;
+    }
+
+    // determine if session should be saved to store
+    function shouldSave(req) {
+      // cannot set cookie without a session ID
+      if (typeof req.sessionID !== 'string') {
+        debug('session ignored because of bogus req.sessionID %o', req.sessionID);
+        return false;
+      }
+
+      return !saveUninitialized && !savedHash && cookieId !== req.sessionID
+        ? isModified(req.session)
+        : !isSaved(req.session);
+    }
+
+    // determine if session should be touched
+    function shouldTouch(req) {
+      // cannot set cookie without a session ID
+      if (typeof req.sessionID !== 'string') {
+        debug('session ignored because of bogus req.sessionID %o', req.sessionID);
+        return false;
+      }
+
+      return cookieId === req.sessionID && !shouldSave(req);
+    }
+
+    // determine if cookie should be set on response
     function shouldSetCookie(req) {
       // cannot set cookie without a session ID
       if (typeof req.sessionID !== 'string') {
         return false;
       }
 
-      return cookieId !== req.sessionID
-        ? saveUninitializedSession || isModified(req.session)
-        : rollingSessions || (req.session.cookie.expires != null && isModified(req.session));
+      if (resendCookie) {
+        return true;
+      }
+
+      if (cookieId !== req.sessionID) {
+        return saveUninitialized || isModified(req.session);
+      }
+
+      // client-side session data lives in the cookie
+      return rollingSessions || ((clientSessions || req.session.cookie.expires != null) && isModified(req.session));
+    }
+
+    // inflate client-side session
+    if (clientSessions) {
+      try {
+        if (cookieSession && !isTimedOut(cookieSession.sess)) {
+          debug('session found in cookie');
+          inflate(req, cookieSession.sess);
+          emit('load', { duration: performance.now() - start });
+        } else {
+          debug('no session in cookie, generating session');
+
+          if (cookieSession) {
+            emit('miss', { duration: performance.now() - start, reason: 'timeout' });
+          }
+
+          generate(cookieSession ? 'timeout' : 'new');
+          next();
+          return;
+        }
+      } catch (e) {
+        next(e);
+        return;
+      }
+
+      loaded();
+      return;
     }
 
     // generate a session if the browser doesn't send a sessionID
     if (!req.sessionID) {
       debug('no SID sent, generating session');
-      generate();
+      generate('new');
       next();
       return;
     }
 
     // generate the session object
     debug('fetching %s', req.sessionID);
-    store.get(req.sessionID, (err, sess) => {
-      // error handling
-      if (err && err.code !== 'ENOENT') {
-        debug('error %j', err);
-        next(err);
-        return;
-      }
+    const context = { sessionID: req.sessionID, store: sessionStore };
+    trace(
+      'load',
+      context,
+      done => load(req.sessionID, done),
+      (err, sess) => {
+        // error handling
+        if (err && err.code !== 'ENOENT') {
+          debug('error %j', err);
+          emit('error', { error: err, reason: 'load' });
+          next(err);
+          return;
+        }
+
+        try {
+          if (err || !sess) {
+            debug('no session found');
+
+            if (sessionStore !== store) {
+              // keep the cookie of a session that may be in the disconnected store
+              saveUninitialized = false;
+              missedId = req.sessionID;
+            }
+
+            emit('miss', { duration: performance.now() - start, reason: 'missing' });
+            generate('missing');
+            next();
+            return;
+          }
+
+          if (isTimedOut(sess)) {
+            debug('session timed out');
+            emit('miss', { duration: performance.now() - start, reason: 'timeout' });
+            const destroyStart = performance.now();
+            invokeStore('destroy', [req.sessionID], err => {
+              if (err) {
+                emit('error', { error: err, reason: 'destroy' });
+                next(err);
+                return;
+              }
+
+              emit('destroy', { duration: performance.now() - destroyStart, reason: 'timeout' });
+              generate('timeout');
+              next();
+            });
+            return;
+          }
 
-      try {
-        if (err || !sess) {
-          debug('no session found');
-          generate();
-        } else {
           debug('session found');
           inflate(req, sess);
+
+          if (sessionCookie.retired) {
+            // re-sign cookie with the current secret
+            debug('cookie signed with retired secret');
+            retiredSecret = resendCookie = true;
+          }
+
+          emit('load', { duration: performance.now() - start });
+        } catch (e) {
+          next(e);
+          return;
         }
-      } catch (e) {
-        next(e);
-        return;
-      }
 
-      next();
-    });
+        loaded();
+      }
+    );
   };
+
+  return mixinEmitter(middleware);
 }
 
 /**
@@ -488,36 +1613,252 @@ function generateSessionId() {
 }
 
 /**
- * Get the session ID cookie from request.
+ * Get the session ID cookie from request,
+ * noting if it was signed with a retired secret.
  *
- * @return {string}
+ * @return {{ value: String, retired: Boolean }|undefined}
  * @private
  */
 
-function getcookie(req, name) {
-  // read from cookieParser() signedCookies data
-  return req.signedCookies?.[name];
+function getcookie(req, name, signer) {
+  const header = cookieHeader.parse(req.headers.cookie, name);
+  const signed = header?.startsWith('s:') ? header.slice(2) : undefined;
+
+  if (!signer) {
+    // read from cookieParser() signedCookies data
+    const value = req.signedCookies?.[name];
+
+    if (value === undefined) {
+      return;
+    }
+
+    // cookie-parser only exposes the current secret
+    const retired = signed !== undefined && !isSignedWith(signed, req.secret);
+    return { value, retired };
+  }
+
+  // verify signed cookie from the header
+  const unsigned = signed !== undefined ? signer.unsign(signed) : undefined;
+
+  if (unsigned) {
+    return { value: unsigned.value, retired: unsigned.index > 0 };
+  }
 }
 
 /**
- * Hash the given `sess` object omitting changes to `.cookie`.
+ * Check if `signed` cookie value is signed with cookie-parser `secret`,
+ * assuming it is for secrets the signer does not support.
+ *
+ * @param {String} signed
+ * @param {String|Array} secret
+ * @return {Boolean}
+ * @private
+ */
+
+function isSignedWith(signed, secret) {
+  if (parserSigner.secret !== secret) {
+    parserSigner.secret = secret;
+
+    try {
+      parserSigner.signer = new Signer([].concat(secret));
+    } catch {
+      debug('cannot verify cookie with secret');
+      parserSigner.signer = undefined;
+    }
+  }
+
+  return !parserSigner.signer || parserSigner.signer.unsign(signed)?.index === 0;
+}
+
+/**
+ * Create an error for a session modified concurrently.
+ *
+ * @return {Error}
+ * @private
+ */
+
+function createConflictError() {
+  const err = new Error('session was modified concurrently');
+  err.code = 'ESESSIONCONFLICT';
+  err.status = 409;
+  return err;
+}
+
+/**
+ * Create an error for a store operation not completed in time.
+ *
+ * @param {String} operation
+ * @param {Number} timeout
+ * @return {Error}
+ * @private
+ */
+
+function createTimeoutError(operation, timeout) {
+  const err = new Error(`session store ${operation} timed out after ${timeout}ms`);
+  err.code = 'ESESSIONTIMEOUT';
+  err.status = 503;
+  err.operation = operation;
+  err.timeout = timeout;
+  return err;
+}
+
+/**
+ * Create an error for a request while the store is disconnected.
+ *
+ * @return {Error}
+ * @private
+ */
+
+function createUnavailableError() {
+  const err = new Error('session store is unavailable');
+  err.code = 'ESESSIONUNAVAILABLE';
+  err.status = 503;
+  return err;
+}
+
+/**
+ * Make function `fn` an event emitter.
+ *
+ * @param {Function} fn
+ * @return {Function}
+ * @private
+ */
+
+function mixinEmitter(fn) {
+  for (const key of Object.getOwnPropertyNames(EventEmitter.prototype)) {
+    if (key !== 'constructor') {
+      Object.defineProperty(fn, key, Object.getOwnPropertyDescriptor(EventEmitter.prototype, key));
+    }
+  }
+
+  EventEmitter.call(fn);
+  return fn;
+}
+
+/**
+ * Get size in bytes of the serialized `sess`.
  *
  * @param {Object} sess
- * @return {String}
+ * @param {Object} serializer
+ * @return {Number}
  * @private
  */
 
-function hash(sess) {
-  // serialize
-  const str = JSON.stringify(sess, function (key, val) {
-    // ignore sess.cookie property
-    if (this === sess && key === 'cookie') {
-      return;
+function sizeOf(sess, serializer) {
+  return Buffer.byteLength(serializer.stringify(sess));
+}
+
+/**
+ * Serialize each top-level key of `sess` except `.cookie`,
+ * and its metadata, to find keys changed later.
+ *
+ * @param {Object} sess
+ * @param {Object} serializer
+ * @return {Object}
+ * @private
+ */
+
+function snapshotOf(sess, serializer) {
+  const values = new Map();
+
+  for (const key of Object.keys(sess)) {
+    if (key !== 'cookie') {
+      values.set(key, serializer.stringify(sess[key]));
     }
+  }
 
-    return val;
-  });
+  if (sess[Session.META] !== undefined) {
+    values.set(Session.META, serializer.stringify(sess[Session.META]));
+  }
+
+  return { id: sess.id, values };
+}
+
+/**
+ * Create an error for a session over the size limit.
+ *
+ * @param {Number} size
+ * @param {Number} maxSize
+ * @return {Error}
+ * @private
+ */
+
+function createSizeError(size, maxSize) {
+  const err = new Error(`session size ${size} exceeds maxSize ${maxSize}`);
+  err.code = 'ESESSIONTOOLARGE';
+  err.size = size;
+  err.maxSize = maxSize;
+  return err;
+}
+
+/**
+ * Check if `err` is a network error worth retrying.
+ *
+ * @param {Error} err
+ * @return {Boolean}
+ * @private
+ */
+
+function isTransient(err) {
+  return TRANSIENT_ERRORS.includes(err?.code);
+}
+
+/**
+ * Check if `val` is a positive number.
+ *
+ * @param {*} val
+ * @return {Boolean}
+ * @private
+ */
+
+function isPositiveNumber(val) {
+  return typeof val === 'number' && val > 0;
+}
+
+/**
+ * Hash the given `sess` object omitting changes to `.cookie`.
+ *
+ * @param {Object} sess
+ * @param {Object} serializer
+ * @return {String}
+ * @private
+ */
+
+function hash(sess, serializer) {
+  // serialize, ignoring sess.cookie property
+  const str = serializer.stringify({ ...sess, cookie: undefined });
 
   // hash
   return crypto.createHash('sha1').update(str, 'utf8').digest('hex');
 }
+
+/**
+ * Wrap `callback` of store `operation` to be called
+ * with a timeout error if the store does not call back in `ms`.
+ *
+ * @param {String} operation
+ * @param {Number} ms
+ * @param {Function} callback
+ * @return {Function}
+ * @private
+ */
+
+function withTimeout(operation, ms, callback) {
+  let done = false;
+  const timer = setTimeout(() => {
+    done = true;
+    debug('store %s timed out', operation);
+    callback(createTimeoutError(operation, ms));
+  }, ms);
+
+  return function (...args) {
+    if (done) {
+      debug('store %s completed after timeout', operation);
+      return;
+    }
+
+    done = true;
+    clearTimeout(timer);
+    callback.apply(this, args);
+  };
+}
@@ -0,0 +1,205 @@
+/*!
+ * Connect - session - async helpers
+ * MIT Licensed
+ */
+
+const { operations, trace } = require('./tracing');
+
+module.exports = {
+  call,
+  fromCallback,
+  invoke,
+  setRetryPolicy,
+  settle
+};
+
+/**
+ * Store methods retried on transient errors.
+ * @private
+ */
+
+const RETRIED_METHODS = ['compareAndSet', 'destroy', 'get', 'patch', 'set', 'touch'];
+
+/**
+ * Retry policies by store.
+ * @private
+ */
+
+const retryPolicies = new WeakMap();
+
+/**
+ * Call `method` on `store` with the given `args` and invoke
+ * `callback(err, value)` exactly once with the outcome.
+ *
+ * Store methods may either take a trailing node-style callback
+ * or return a promise (e.g. `async` functions); the style is
+ * detected from the return value of each call.
+ *
+ * Calls failing with a transient error are retried
+ * according to the retry policy of the `store`, and
+ * each call is traced as its session operation.
+ *
+ * @param {Object} store
+ * @param {String} method
+ * @param {Array} args
+ * @param {Function} callback
+ * @private
+ */
+
+function invoke(store, method, args, callback) {
+  retry(store, method, args, invokeOnce, callback);
+}
+
+/**
+ * Call `method` on `store` with `once(store, method, args, callback)`,
+ * retrying according to the retry policy of the `store`.
+ * @private
+ */
+
+function retry(store, method, args, once, callback) {
+  const policy = retryPolicies.get(store);
+
+  if (!policy || !RETRIED_METHODS.includes(method)) {
+    once(store, method, args, callback);
+    return;
+  }
+
+  let attempt = 1;
+
+  (function run() {
+    once(store, method, args, (err, value) => {
+      if (err && attempt < policy.attempts && policy.transient(err)) {
+        setTimeout(run, backoff(policy, attempt++));
+        return;
+      }
+
+      callback(err, value);
+    });
+  })();
+}
+
+/**
+ * Call `method` on `store` once, tracing session operations.
+ * @private
+ */
+
+function invokeOnce(store, method, args, callback) {
+  const operation = operations[method];
+
+  if (!operation) {
+    callMethod(store, method, args, callback);
+    return;
+  }
+
+  const sessionID = method === 'regenerate' ? args[0].sessionID : args[0];
+  const context = { method, sessionID, store };
+  trace(operation, context, done => callMethod(store, method, args, done), callback);
+}
+
+/**
+ * Call `method` on `store` with either callback or promise style.
+ * @private
+ */
+
+function callMethod(store, method, args, callback) {
+  let called = false;
+
+  function done(err, value) {
+    if (called) {
+      return;
+    }
+
+    called = true;
+    callback(err, value);
+  }
+
+  const ret = store[method](...args, done);
+
+  if (ret && typeof ret.then === 'function') {
+    ret.then(
+      value => done(null, value),
+      err => done(err || new Error(`store.${method}() rejected`))
+    );
+  }
+}
+
+/**
+ * Call `method` on `store` with the given `args`
+ * and return a promise of the outcome.
+ *
+ * Unlike `invoke()`, the call is not traced, as it is made
+ * internally, e.g. by a store wrapping another store.
+ *
+ * @param {Object} store
+ * @param {String} method
+ * @param {Array} args
+ * @return {Promise}
+ * @private
+ */
+
+function call(store, method, args) {
+  return fromCallback(done => retry(store, method, args, callMethod, done));
+}
+
+/**
+ * Return a promise settled by the node-style callback
+ * passed to `fn(callback)`.
+ *
+ * @param {Function} fn
+ * @return {Promise}
+ * @private
+ */
+
+function fromCallback(fn) {
+  return new Promise((resolve, reject) => {
+    fn((err, value) => (err ? reject(err) : resolve(value)));
+  });
+}
+
+/**
+ * Pass the outcome of `promise` to node-style `callback`,
+ * or return the `promise` itself when `callback` is omitted.
+ *
+ * @param {Promise} promise
+ * @param {Function} [callback]
+ * @return {Promise|undefined}
+ * @private
+ */
+
+function settle(promise, callback) {
+  if (typeof callback !== 'function') {
+    return promise;
+  }
+
+  promise.then(
+    value => process.nextTick(callback, null, value),
+    err => process.nextTick(callback, err)
+  );
+}
+
+/**
+ * Retry store operations failing with transient errors.
+ *
+ * @param {Object} store
+ * @param {Object} policy
+ * @param {Number} policy.attempts Maximum number of attempts
+ * @param {Number} policy.delay Delay in ms before the first retry, doubled for each next one
+ * @param {Number} policy.maxDelay Maximum delay in ms between attempts
+ * @param {Function} policy.transient Predicate deciding if the error is transient
+ * @private
+ */
+
+function setRetryPolicy(store, policy) {
+  retryPolicies.set(store, policy);
+}
+
+/**
+ * Get delay before the next attempt: exponential backoff
+ * with random jitter up to half of the delay.
+ * @private
+ */
+
+function backoff(policy, attempt) {
+  const delay = Math.min(policy.maxDelay, policy.delay * 2 ** (attempt - 1));
+  return delay / 2 + (Math.random() * delay) / 2;
+}
@@ -0,0 +1,100 @@
+/*!
+ * Connect - session - Cipher
+ * MIT Licensed
+ */
+
+const Buffer = require('node:buffer').Buffer;
+const crypto = require('node:crypto');
+
+module.exports = Cipher;
+
+const ALGORITHM = 'aes-256-gcm';
+const ID_LENGTH = 4;
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+
+/**
+ * Authenticated encryption with AES-256-GCM using a list of `keys`.
+ *
+ * The first key encrypts, all keys decrypt, which allows for key rotation.
+ * Each key is identified in the encrypted data by a short ID derived from it.
+ *
+ * @param {Array<String|Buffer>} keys
+ * @private
+ */
+
+function Cipher(keys) {
+  if (!Array.isArray(keys) || keys.length === 0) {
+    throw new TypeError('keys must be a non-empty array');
+  }
+
+  this.keys = keys.map(key => {
+    if (!(typeof key === 'string' || Buffer.isBuffer(key)) || key.length === 0) {
+      throw new TypeError('keys must be non-empty strings or Buffers');
+    }
+
+    const secret = Buffer.from(crypto.hkdfSync('sha256', key, '', 'connect-session', 32));
+    const id = crypto.createHash('sha256').update(secret).digest().subarray(0, ID_LENGTH);
+    return { id, secret };
+  });
+}
+
+/**
+ * Encrypt `plaintext` with the primary key.
+ *
+ * @param {String} plaintext
+ * @param {String} [aad] Additional authenticated data
+ * @return {String} base64url encoded key ID, IV, tag and ciphertext
+ */
+
+Cipher.prototype.encrypt = function encrypt(plaintext, aad = '') {
+  const { id, secret } = this.keys[0];
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, secret, iv, { authTagLength: TAG_LENGTH });
+
+  cipher.setAAD(Buffer.from(aad));
+  const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+
+  return Buffer.concat([id, iv, cipher.getAuthTag(), ciphertext]).toString('base64url');
+};
+
+/**
+ * Decrypt `data` produced by `encrypt()` with any of the keys.
+ *
+ * @param {String} data
+ * @param {String} [aad] Additional authenticated data
+ * @return {String|undefined} plaintext or `undefined` if data cannot be authenticated
+ */
+
+Cipher.prototype.decrypt = function decrypt(data, aad = '') {
+  if (typeof data !== 'string') {
+    return;
+  }
+
+  const buf = Buffer.from(data, 'base64url');
+
+  if (buf.length < ID_LENGTH + IV_LENGTH + TAG_LENGTH) {
+    return;
+  }
+
+  const id = buf.subarray(0, ID_LENGTH);
+  const key = this.keys.find(key => key.id.equals(id));
+
+  if (!key) {
+    return;
+  }
+
+  const iv = buf.subarray(ID_LENGTH, ID_LENGTH + IV_LENGTH);
+  const tag = buf.subarray(ID_LENGTH + IV_LENGTH, ID_LENGTH + IV_LENGTH + TAG_LENGTH);
+  const ciphertext = buf.subarray(ID_LENGTH + IV_LENGTH + TAG_LENGTH);
+  const decipher = crypto.createDecipheriv(ALGORITHM, key.secret, iv, { authTagLength: TAG_LENGTH });
+
+  decipher.setAAD(Buffer.from(aad));
+  decipher.setAuthTag(tag);
+
+  try {
+    return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+  } catch {
+    // authentication failed
+  }
+};
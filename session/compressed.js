@@ -0,0 +1,221 @@
+/*!
+ * Connect - session - CompressedStore
+ * MIT Licensed
+ */
+
+const Buffer = require('node:buffer').Buffer;
+const { call, settle } = require('./async');
+const util = require('node:util');
+const Wrapper = require('./wrapper');
+const zlib = require('node:zlib');
+
+module.exports = CompressedStore;
+
+/**
+ * Name of the property tagging compressed sessions with their encoding.
+ * @private
+ */
+
+const TAG = '__compressed';
+
+/**
+ * Supported compression algorithms by their encoding tag.
+ * @private
+ */
+
+const codecs = {
+  br: {
+    compress: util.promisify(zlib.brotliCompress),
+    decompress: util.promisify(zlib.brotliDecompress)
+  },
+  gzip: {
+    compress: util.promisify(zlib.gzip),
+    decompress: util.promisify(zlib.gunzip)
+  }
+};
+
+const encodings = {
+  brotli: 'br',
+  gzip: 'gzip'
+};
+
+/**
+ * A wrapper compressing large sessions kept in another `store`.
+ *
+ * Sessions serialized to at least `threshold` bytes are kept compressed,
+ * with only `.cookie` left as is for the store to track expiration.
+ * Smaller sessions, and sessions stored before compression was
+ * enabled, are kept by the wrapped store as they are, which is why
+ * the serializer is shared with the wrapped store.
+ *
+ * @param {Store} store Store keeping the sessions
+ * @param {Object} [options]
+ * @param {String} [options.algorithm=gzip] Compression algorithm: "gzip" or "brotli"
+ * @param {Number} [options.threshold=1024] Minimum size in bytes of compressed sessions
+ * @public
+ */
+
+function CompressedStore(store, options) {
+  const opts = options || {};
+  const algorithm = opts.algorithm || 'gzip';
+  const threshold = opts.threshold ?? 1024;
+
+  Wrapper.call(this, store);
+
+  if (!Object.hasOwn(encodings, algorithm)) {
+    throw new TypeError('algorithm option must be "gzip" or "brotli"');
+  }
+
+  if (!(typeof threshold === 'number' && threshold >= 0)) {
+    throw new TypeError('threshold option must be a non-negative number');
+  }
+
+  this.encoding = encodings[algorithm];
+  this.threshold = threshold;
+  this.totals = { sessions: 0, size: 0, compressedSize: 0 };
+}
+
+/**
+ * Inherit from Wrapper.
+ */
+
+util.inherits(CompressedStore, Wrapper);
+
+/**
+ * Serializer shared with the wrapped store.
+ *
+ * @public
+ */
+
+Object.defineProperty(CompressedStore.prototype, 'serializer', {
+  configurable: true,
+  get() {
+    return this.store.serializer ?? JSON;
+  },
+  set(serializer) {
+    this.store.serializer = serializer;
+  }
+});
+
+/**
+ * Get all sessions.
+ *
+ * @param {function} callback
+ * @public
+ */
+
+CompressedStore.prototype.all = function all(callback) {
+  const promise = call(this.store, 'all', []).then(async stored => {
+    const sessions = Object.create(null);
+
+    for (const [sessionId, sess] of Object.entries(stored || {})) {
+      sessions[sessionId] = await decompress.call(this, sess);
+    }
+
+    return sessions;
+  });
+  return settle(promise, callback);
+};
+
+/**
+ * Fetch session by the given session ID.
+ *
+ * @param {string} sessionId
+ * @param {function} callback
+ * @public
+ */
+
+CompressedStore.prototype.get = function get(sessionId, callback) {
+  const promise = call(this.store, 'get', [sessionId]).then(sess => decompress.call(this, sess));
+  return settle(promise, callback);
+};
+
+/**
+ * Commit the given session associated with the given sessionId to the store,
+ * compressing it when large enough.
+ *
+ * @param {string} sessionId
+ * @param {object} session
+ * @param {function} callback
+ * @public
+ */
+
+CompressedStore.prototype.set = function set(sessionId, session, callback) {
+  const promise = compress.call(this, session).then(sess => call(this.store, 'set', [sessionId, sess]));
+  return settle(promise, callback);
+};
+
+/**
+ * Get compression statistics of the sessions saved so far:
+ * number of compressed sessions, their total size before and
+ * after compression, and the `ratio` of the two.
+ *
+ * @return {{ sessions: Number, size: Number, compressedSize: Number, ratio: Number }}
+ * @public
+ */
+
+CompressedStore.prototype.stats = function stats() {
+  const { sessions, size, compressedSize } = this.totals;
+  return { sessions, size, compressedSize, ratio: size ? compressedSize / size : 1 };
+};
+
+/**
+ * Touch the given session object associated with the given session ID.
+ * Falls back to `set` when the wrapped store does not implement `touch`.
+ *
+ * @param {string} sessionId
+ * @param {object} session
+ * @param {function} callback
+ * @public
+ */
+
+CompressedStore.prototype.touch = function touch(sessionId, session, callback) {
+  const method = typeof this.store.touch === 'function' ? 'touch' : 'set';
+  const promise = compress.call(this, session).then(sess => call(this.store, method, [sessionId, sess]));
+  return settle(promise, callback);
+};
+
+/**
+ * Compress session data leaving the cookie as is,
+ * or return the session if it is smaller than threshold.
+ * @private
+ */
+
+async function compress(session) {
+  const { cookie, ...data } = session.toJSON?.() ?? session;
+  const text = this.serializer.stringify(data);
+  const size = Buffer.byteLength(text);
+
+  if (size < this.threshold) {
+    return session;
+  }
+
+  const compressed = await codecs[this.encoding].compress(text);
+
+  this.totals.sessions++;
+  this.totals.size += size;
+  this.totals.compressedSize += compressed.length;
+
+  return { cookie, [TAG]: this.encoding, data: compressed.toString('base64') };
+}
+
+/**
+ * Decompress session compressed by `compress()`.
+ * @private
+ */
+
+async function decompress(sess) {
+  if (typeof sess?.[TAG] !== 'string') {
+    // not compressed
+    return sess;
+  }
+
+  const codec = codecs[sess[TAG]];
+
+  if (!codec) {
+    throw new Error(`unsupported session encoding "${sess[TAG]}"`);
+  }
+
+  const text = await codec.decompress(Buffer.from(sess.data, 'base64'));
+  return { cookie: sess.cookie, ...this.serializer.parse(text.toString('utf8')) };
+}
@@ -0,0 +1,121 @@
+/*!
+ * Connect - session - cookie headers
+ * MIT Licensed
+ */
+
+module.exports = {
+  parse,
+  serialize
+};
+
+const PRIORITIES = { low: 'Low', medium: 'Medium', high: 'High' };
+const SAME_SITES = { lax: 'Lax', none: 'None', strict: 'Strict' };
+
+/**
+ * Get the value of the first cookie called `name` from `Cookie` header.
+ *
+ * @param {String} [header]
+ * @param {String} name
+ * @return {String|undefined}
+ * @private
+ */
+
+function parse(header, name) {
+  if (typeof header !== 'string') {
+    return;
+  }
+
+  for (const pair of header.split(';')) {
+    const eq = pair.indexOf('=');
+
+    if (eq === -1 || pair.slice(0, eq).trim() !== name) {
+      continue;
+    }
+
+    let value = pair.slice(eq + 1).trim();
+
+    if (value.length > 1 && value.startsWith('"') && value.endsWith('"')) {
+      value = value.slice(1, -1);
+    }
+
+    return decode(value);
+  }
+}
+
+/**
+ * Serialize `Set-Cookie` header of cookie `name` with `value`
+ * and attributes from `Cookie.data`.
+ *
+ * @param {String} name
+ * @param {String} value
+ * @param {Object} data
+ * @return {String}
+ * @private
+ */
+
+function serialize(name, value, data) {
+  let header = `${name}=${encodeURIComponent(value)}`;
+
+  if (data.domain) {
+    header += `; Domain=${data.domain}`;
+  }
+
+  if (data.path) {
+    header += `; Path=${data.path}`;
+  }
+
+  if (data.expires instanceof Date) {
+    header += `; Expires=${data.expires.toUTCString()}`;
+  }
+
+  if (data.httpOnly) {
+    header += '; HttpOnly';
+  }
+
+  if (data.secure) {
+    header += '; Secure';
+  }
+
+  if (data.partitioned) {
+    header += '; Partitioned';
+  }
+
+  if (data.priority) {
+    header += `; Priority=${attribute(PRIORITIES, 'priority', data.priority)}`;
+  }
+
+  if (data.sameSite) {
+    const sameSite = data.sameSite === true ? 'strict' : data.sameSite;
+    header += `; SameSite=${attribute(SAME_SITES, 'sameSite', sameSite)}`;
+  }
+
+  return header;
+}
+
+/**
+ * Get the attribute value for the case-insensitive option `value`.
+ * @private
+ */
+
+function attribute(values, option, value) {
+  const key = typeof value === 'string' ? value.toLowerCase() : undefined;
+
+  if (!Object.hasOwn(values, key)) {
+    throw new TypeError(`option ${option} is invalid`);
+  }
+
+  return values[key];
+}
+
+/**
+ * Decode URI encoded `value`, or return it as is if malformed.
+ * @private
+ */
+
+function decode(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return value;
+  }
+}
@@ -0,0 +1,85 @@
+/*!
+ * Connect - session - CookieStore
+ * MIT Licensed
+ */
+
+const Cipher = require('./cipher');
+const Store = require('./store');
+const util = require('node:util');
+
+module.exports = CookieStore;
+
+/**
+ * Store used for client-side sessions.
+ *
+ * Session data is kept encrypted in the session cookie itself,
+ * so the store operations invoked by the middleware do nothing.
+ *
+ * @param {Array<String|Buffer>} keys Encryption keys, the first one is used to encrypt
+ * @private
+ */
+
+function CookieStore(keys) {
+  Store.call(this);
+  this.cipher = new Cipher(keys);
+}
+
+/**
+ * Inherit from Store.
+ */
+
+util.inherits(CookieStore, Store);
+
+/**
+ * Encrypt session `sess` with ID `sid` into a cookie value.
+ *
+ * @param {String} sid
+ * @param {Object} sess
+ * @param {String} name Cookie name
+ * @return {String}
+ */
+
+CookieStore.prototype.encode = function encode(sid, sess, name) {
+  return this.cipher.encrypt(this.serializer.stringify({ id: sid, sess }), name);
+};
+
+/**
+ * Decrypt cookie `value` into session ID and data.
+ *
+ * @param {String} value
+ * @param {String} name Cookie name
+ * @return {Object|undefined} `{ id, sess }` or `undefined` if value is invalid or expired
+ */
+
+CookieStore.prototype.decode = function decode(value, name) {
+  const plaintext = this.cipher.decrypt(value, name);
+
+  if (!plaintext) {
+    return;
+  }
+
+  const data = this.serializer.parse(plaintext);
+  const expires = data.sess.cookie?.expires;
+
+  if (expires && new Date(expires) <= Date.now()) {
+    return;
+  }
+
+  return data;
+};
+
+CookieStore.prototype.destroy = function destroy(_sid, callback) {
+  setImmediate(callback);
+};
+
+CookieStore.prototype.get = function get(_sid, callback) {
+  setImmediate(callback);
+};
+
+CookieStore.prototype.set = function set(_sid, _sess, callback) {
+  setImmediate(callback);
+};
+
+CookieStore.prototype.touch = function touch(_sid, _sess, callback) {
+  setImmediate(callback);
+};
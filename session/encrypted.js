@@ -0,0 +1,131 @@
+/*!
+ * Connect - session - EncryptedStore
+ * MIT Licensed
+ */
+
+const { call, settle } = require('./async');
+const Cipher = require('./cipher');
+const debug = require('debug')('connect-session');
+const util = require('node:util');
+const Wrapper = require('./wrapper');
+
+module.exports = EncryptedStore;
+
+/**
+ * A wrapper encrypting sessions kept in another `store`.
+ *
+ * Session data is encrypted with AES-256-GCM bound to the session ID;
+ * only `.cookie` is left in plain text for the store to track expiration.
+ * Sessions that cannot be decrypted are treated as missing.
+ *
+ * @param {Store} store Store keeping the encrypted sessions
+ * @param {Object} options
+ * @param {Array<String|Buffer>} options.keys Keys for encryption; the first one encrypts, all decrypt
+ * @public
+ */
+
+function EncryptedStore(store, options) {
+  const opts = options || {};
+
+  Wrapper.call(this, store);
+  this.cipher = new Cipher(opts.keys);
+}
+
+/**
+ * Inherit from Wrapper.
+ */
+
+util.inherits(EncryptedStore, Wrapper);
+
+/**
+ * Get all sessions that can be decrypted.
+ *
+ * @param {function} callback
+ * @public
+ */
+
+EncryptedStore.prototype.all = function all(callback) {
+  const promise = call(this.store, 'all', []).then(stored => {
+    const sessions = Object.create(null);
+
+    for (const [sessionId, sess] of Object.entries(stored || {})) {
+      const session = decrypt.call(this, sessionId, sess);
+
+      if (session) {
+        sessions[sessionId] = session;
+      }
+    }
+
+    return sessions;
+  });
+  return settle(promise, callback);
+};
+
+/**
+ * Fetch and decrypt session by the given session ID.
+ *
+ * @param {string} sessionId
+ * @param {function} callback
+ * @public
+ */
+
+EncryptedStore.prototype.get = function get(sessionId, callback) {
+  const promise = call(this.store, 'get', [sessionId]).then(sess => sess && decrypt.call(this, sessionId, sess));
+  return settle(promise, callback);
+};
+
+/**
+ * Encrypt and commit the given session associated with the given sessionId to the store.
+ *
+ * @param {string} sessionId
+ * @param {object} session
+ * @param {function} callback
+ * @public
+ */
+
+EncryptedStore.prototype.set = function set(sessionId, session, callback) {
+  const promise = call(this.store, 'set', [sessionId, encrypt.call(this, sessionId, session)]);
+  return settle(promise, callback);
+};
+
+/**
+ * Touch the given session object associated with the given session ID.
+ * Falls back to `set` when the wrapped store does not implement `touch`.
+ *
+ * @param {string} sessionId
+ * @param {object} session
+ * @param {function} callback
+ * @public
+ */
+
+EncryptedStore.prototype.touch = function touch(sessionId, session, callback) {
+  const method = typeof this.store.touch === 'function' ? 'touch' : 'set';
+  const promise = call(this.store, method, [sessionId, encrypt.call(this, sessionId, session)]);
+  return settle(promise, callback);
+};
+
+/**
+ * Encrypt session data leaving the cookie in plain text.
+ * @private
+ */
+
+function encrypt(sessionId, session) {
+  const { cookie, ...data } = session.toJSON?.() ?? session;
+  return { cookie, data: this.cipher.encrypt(this.serializer.stringify(data), sessionId) };
+}
+
+/**
+ * Decrypt session encrypted by `encrypt()`.
+ * @private
+ */
+
+function decrypt(sessionId, sess) {
+  const plaintext = this.cipher.decrypt(sess.data, sessionId);
+
+  if (plaintext === undefined) {
+    debug('cannot decrypt session %s', sessionId);
+    return;
+  }
+
+  return { cookie: sess.cookie, ...this.serializer.parse(plaintext) };
+}
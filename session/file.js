@@ -0,0 +1,278 @@
+/*!
+ * Connect - session - FileStore
+ * MIT Licensed
+ */
+
+const crypto = require('node:crypto');
+const fs = require('node:fs');
+const path = require('node:path');
+const { settle } = require('./async');
+const Store = require('./store');
+const util = require('node:util');
+
+const fsp = fs.promises;
+
+module.exports = FileStore;
+
+/**
+ * File extension of session files.
+ * @private
+ */
+
+const EXT = '.json';
+
+/**
+ * A session store keeping one JSON file per session.
+ *
+ * @param {Object} [options]
+ * @param {String} [options.path=./sessions] Directory holding the session files
+ * @param {Number} [options.pruneInterval] Interval in ms for removing expired sessions
+ * @public
+ */
+
+function FileStore(options) {
+  const opts = options || {};
+
+  Store.call(this);
+
+  this.path = path.resolve(opts.path || 'sessions');
+  this.locks = new Map();
+  fs.mkdirSync(this.path, { recursive: true });
+
+  this.startPruning(opts.pruneInterval);
+}
+
+/**
+ * Inherit from Store.
+ */
+
+util.inherits(FileStore, Store);
+
+/**
+ * Get all active sessions.
+ *
+ * @param {function} callback
+ * @public
+ */
+
+FileStore.prototype.all = function all(callback) {
+  return settle(readAll.call(this), callback);
+};
+
+/**
+ * Clear all sessions.
+ *
+ * @param {function} callback
+ * @public
+ */
+
+FileStore.prototype.clear = function clear(callback) {
+  const promise = list
+    .call(this)
+    .then(ids => Promise.all(ids.map(id => locked.call(this, id, remove))))
+    .then(() => {});
+  return settle(promise, callback);
+};
+
+/**
+ * Destroy the session associated with the given session ID.
+ *
+ * @param {string} sessionId
+ * @param {function} callback
+ * @public
+ */
+
+FileStore.prototype.destroy = function destroy(sessionId, callback) {
+  return settle(locked.call(this, sessionId, remove), callback);
+};
+
+/**
+ * Fetch session by the given session ID.
+ *
+ * @param {string} sessionId
+ * @param {function} callback
+ * @public
+ */
+
+FileStore.prototype.get = function get(sessionId, callback) {
+  return settle(locked.call(this, sessionId, read), callback);
+};
+
+/**
+ * Get number of active sessions.
+ *
+ * @param {function} callback
+ * @public
+ */
+
+FileStore.prototype.length = function length(callback) {
+  const promise = readAll.call(this).then(sessions => Object.keys(sessions).length);
+  return settle(promise, callback);
+};
+
+/**
+ * Remove all expired sessions.
+ *
+ * @param {function} callback
+ * @public
+ */
+
+FileStore.prototype.prune = function prune(callback) {
+  // reading removes the expired sessions
+  const promise = readAll.call(this).then(() => {});
+  return settle(promise, callback);
+};
+
+/**
+ * Commit the given session associated with the given sessionId to the store.
+ *
+ * @param {string} sessionId
+ * @param {object} session
+ * @param {function} callback
+ * @public
+ */
+
+FileStore.prototype.set = function set(sessionId, session, callback) {
+  return settle(locked.call(this, sessionId, write, session), callback);
+};
+
+/**
+ * Touch the given session object associated with the given session ID.
+ *
+ * @param {string} sessionId
+ * @param {object} session
+ * @param {function} callback
+ * @public
+ */
+
+FileStore.prototype.touch = function touch(sessionId, session, callback) {
+  const promise = locked.call(this, sessionId, async () => {
+    const currentSession = await read.call(this, sessionId);
+
+    if (currentSession) {
+      // update expiration
+      currentSession.cookie = session.cookie;
+      await write.call(this, sessionId, currentSession);
+    }
+  });
+  return settle(promise, callback);
+};
+
+/**
+ * Get the path of the file for the given session ID.
+ * @private
+ */
+
+function filename(sessionId) {
+  return path.join(this.path, encodeURIComponent(sessionId) + EXT);
+}
+
+/**
+ * List IDs of all sessions in the store directory.
+ * @private
+ */
+
+async function list() {
+  const files = await fsp.readdir(this.path);
+  return files.filter(file => file.endsWith(EXT)).map(file => decodeURIComponent(file.slice(0, -EXT.length)));
+}
+
+/**
+ * Call `fn` with the given session ID after pending operations
+ * on the same session, so that they do not overwrite each other.
+ * @private
+ */
+
+function locked(sessionId, fn, ...args) {
+  const previous = this.locks.get(sessionId) || Promise.resolve();
+  const promise = previous.then(() => fn.call(this, sessionId, ...args));
+  const done = promise.catch(() => {});
+
+  this.locks.set(sessionId, done);
+  done.then(() => {
+    if (this.locks.get(sessionId) === done) {
+      this.locks.delete(sessionId);
+    }
+  });
+
+  return promise;
+}
+
+/**
+ * Read session from its file, removing it if expired.
+ * @private
+ */
+
+async function read(sessionId) {
+  let sess;
+
+  try {
+    sess = this.serializer.parse(await fsp.readFile(filename.call(this, sessionId), 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      return;
+    }
+
+    throw err;
+  }
+
+  if (sess.cookie) {
+    const expires = typeof sess.cookie.expires === 'string' ? new Date(sess.cookie.expires) : sess.cookie.expires;
+
+    // destroy expired session
+    if (expires && expires <= Date.now()) {
+      await remove.call(this, sessionId);
+      return;
+    }
+  }
+
+  return sess;
+}
+
+/**
+ * Read all active sessions.
+ * @private
+ */
+
+async function readAll() {
+  const ids = await list.call(this);
+  const sessions = Object.create(null);
+
+  for (const sessionId of ids) {
+    const session = await locked.call(this, sessionId, read);
+
+    if (session) {
+      sessions[sessionId] = session;
+    }
+  }
+
+  return sessions;
+}
+
+/**
+ * Remove session file, ignoring missing ones.
+ * @private
+ */
+
+async function remove(sessionId) {
+  await fsp.rm(filename.call(this, sessionId), { force: true });
+}
+
+/**
+ * Write session to a temporary file and move it
+ * in place, so that readers never see partial data.
+ * @private
+ */
+
+async function write(sessionId, session) {
+  const file = filename.call(this, sessionId);
+  const tmp = `${file}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+
+  try {
+    await fsp.writeFile(tmp, this.serializer.stringify(session), { mode: 0o600 });
+    await fsp.rename(tmp, file);
+  } catch (err) {
+    await fsp.rm(tmp, { force: true });
+    throw err;
+  }
+}
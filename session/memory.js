@@ -6,6 +6,8 @@
  * MIT Licensed
  */
 
+const { fromCallback } = require('./async');
+const { VERSION } = require('./session');
 const Store = require('./store');
 const util = require('node:util');
 
@@ -13,12 +15,29 @@ module.exports = MemoryStore;
 
 /**
  * A session store in memory.
+ *
+ * @param {Object} [options]
+ * @param {Number} [options.max] Maximum number of sessions kept; least recently used are evicted
+ * @param {Number} [options.pruneInterval] Interval in ms for removing expired sessions
  * @public
  */
 
-function MemoryStore() {
+function MemoryStore(options) {
+  const opts = options || {};
+
   Store.call(this);
   this.sessions = Object.create(null);
+
+  if (opts.max !== undefined && !(Number.isInteger(opts.max) && opts.max > 0)) {
+    throw new TypeError('max option must be a positive integer');
+  }
+
+  this.max = opts.max || Number.POSITIVE_INFINITY;
+
+  // session IDs from the least to the most recently used
+  this.recent = opts.max ? new Set() : undefined;
+
+  this.startPruning(opts.pruneInterval);
 }
 
 /**
@@ -35,11 +54,13 @@ util.inherits(MemoryStore, Store);
  */
 
 MemoryStore.prototype.all = function all(callback) {
-  const sessionIds = Object.keys(this.sessions);
+  if (typeof callback !== 'function') {
+    return fromCallback(done => this.all(done));
+  }
+
   const sessions = Object.create(null);
 
-  for (let i = 0; i < sessionIds.length; i++) {
-    const sessionId = sessionIds[i];
+  for (const sessionId of Object.keys(this.sessions)) {
     const session = getSession.call(this, sessionId);
 
     if (session) {
@@ -47,7 +68,7 @@ MemoryStore.prototype.all = function all(callback) {
     }
   }
 
-  return callback && setImmediate(callback, null, sessions);
+  setImmediate(callback, null, sessions);
 };
 
 /**
@@ -58,20 +79,59 @@ MemoryStore.prototype.all = function all(callback) {
  */
 
 MemoryStore.prototype.clear = function clear(callback) {
+  if (typeof callback !== 'function') {
+    return fromCallback(done => this.clear(done));
+  }
+
   this.sessions = Object.create(null);
-  return callback && setImmediate(callback);
+  this.recent?.clear();
+  setImmediate(callback);
+};
+
+/**
+ * Commit the given session only if the version of the stored
+ * session is `version`, and invoke `callback(err, saved)`.
+ *
+ * @param {string} sessionId
+ * @param {object} session
+ * @param {number} version
+ * @param {function} callback
+ * @public
+ */
+
+MemoryStore.prototype.compareAndSet = function compareAndSet(sessionId, session, version, callback) {
+  if (typeof callback !== 'function') {
+    return fromCallback(done => this.compareAndSet(sessionId, session, version, done));
+  }
+
+  const currentSession = getSession.call(this, sessionId);
+
+  if ((currentSession?.[VERSION] ?? 0) !== version) {
+    setImmediate(callback, null, false);
+    return;
+  }
+
+  // serialized session data includes its metadata
+  const data = session.toJSON?.() ?? session;
+  use.call(this, sessionId, this.serializer.stringify({ ...data, [VERSION]: version + 1 }));
+  setImmediate(callback, null, true);
 };
 
 /**
  * Destroy the session associated with the given session ID.
  *
  * @param {string} sessionId
+ * @param {function} callback
  * @public
  */
 
 MemoryStore.prototype.destroy = function destroy(sessionId, callback) {
-  delete this.sessions[sessionId];
-  return callback && setImmediate(callback);
+  if (typeof callback !== 'function') {
+    return fromCallback(done => this.destroy(sessionId, done));
+  }
+
+  remove.call(this, sessionId);
+  setImmediate(callback);
 };
 
 /**
@@ -83,7 +143,50 @@ MemoryStore.prototype.destroy = function destroy(sessionId, callback) {
  */
 
 MemoryStore.prototype.get = function get(sessionId, callback) {
-  setImmediate(callback, null, getSession.call(this, sessionId));
+  if (typeof callback !== 'function') {
+    return fromCallback(done => this.get(sessionId, done));
+  }
+
+  const session = getSession.call(this, sessionId);
+
+  if (session) {
+    use.call(this, sessionId, this.sessions[sessionId]);
+  }
+
+  setImmediate(callback, null, session);
+};
+
+/**
+ * Update the stored session with `changes` to its top-level keys
+ * and remove `removedKeys` from it, and invoke `callback(err, patched)`;
+ * `patched` is `false` if the session is not stored, or only points
+ * to another session ID it was rotated to.
+ *
+ * @param {string} sessionId
+ * @param {object} changes
+ * @param {Array<string>} removedKeys
+ * @param {function} callback
+ * @public
+ */
+
+MemoryStore.prototype.patch = function patch(sessionId, changes, removedKeys, callback) {
+  if (typeof callback !== 'function') {
+    return fromCallback(done => this.patch(sessionId, changes, removedKeys, done));
+  }
+
+  const currentSession = getSession.call(this, sessionId);
+
+  if (!currentSession || currentSession.cookie?.rotatedTo !== undefined) {
+    setImmediate(callback, null, false);
+    return;
+  }
+
+  for (const key of removedKeys) {
+    delete currentSession[key];
+  }
+
+  use.call(this, sessionId, this.serializer.stringify(Object.assign(currentSession, changes)));
+  setImmediate(callback, null, true);
 };
 
 /**
@@ -96,8 +199,12 @@ MemoryStore.prototype.get = function get(sessionId, callback) {
  */
 
 MemoryStore.prototype.set = function set(sessionId, session, callback) {
-  this.sessions[sessionId] = JSON.stringify(session);
-  return callback && setImmediate(callback);
+  if (typeof callback !== 'function') {
+    return fromCallback(done => this.set(sessionId, session, done));
+  }
+
+  use.call(this, sessionId, this.serializer.stringify(session));
+  setImmediate(callback);
 };
 
 /**
@@ -108,12 +215,36 @@ MemoryStore.prototype.set = function set(sessionId, session, callback) {
  */
 
 MemoryStore.prototype.length = function length(callback) {
+  if (typeof callback !== 'function') {
+    return fromCallback(done => this.length(done));
+  }
+
   this.all((err, sessions) => {
     if (err) return callback(err);
     callback(null, Object.keys(sessions).length);
   });
 };
 
+/**
+ * Remove all expired sessions.
+ *
+ * @param {function} callback
+ * @public
+ */
+
+MemoryStore.prototype.prune = function prune(callback) {
+  if (typeof callback !== 'function') {
+    return fromCallback(done => this.prune(done));
+  }
+
+  for (const sessionId of Object.keys(this.sessions)) {
+    // removes the session if expired
+    getSession.call(this, sessionId);
+  }
+
+  setImmediate(callback);
+};
+
 /**
  * Touch the given session object associated with the given session ID.
  *
@@ -124,15 +255,19 @@ MemoryStore.prototype.length = function length(callback) {
  */
 
 MemoryStore.prototype.touch = function touch(sessionId, session, callback) {
+  if (typeof callback !== 'function') {
+    return fromCallback(done => this.touch(sessionId, session, done));
+  }
+
   const currentSession = getSession.call(this, sessionId);
 
   if (currentSession) {
     // update expiration
     currentSession.cookie = session.cookie;
-    this.sessions[sessionId] = JSON.stringify(currentSession);
+    use.call(this, sessionId, this.serializer.stringify(currentSession));
   }
 
-  return callback && setImmediate(callback);
+  setImmediate(callback);
 };
 
 /**
@@ -148,17 +283,52 @@ function getSession(sessionId) {
   }
 
   // parse
-  sess = JSON.parse(sess);
+  sess = this.serializer.parse(sess);
 
   if (sess.cookie) {
     const expires = typeof sess.cookie.expires === 'string' ? new Date(sess.cookie.expires) : sess.cookie.expires;
 
     // destroy expired session
     if (expires && expires <= Date.now()) {
-      delete this.sessions[sessionId];
+      remove.call(this, sessionId);
       return;
     }
   }
 
   return sess;
 }
+
+/**
+ * Store serialized session as the most recently used one,
+ * evicting the least recently used sessions over `max`.
+ * @private
+ */
+
+function use(sessionId, data) {
+  this.sessions[sessionId] = data;
+
+  if (!this.recent) {
+    return;
+  }
+
+  this.recent.delete(sessionId);
+  this.recent.add(sessionId);
+
+  for (const oldest of this.recent) {
+    if (this.recent.size <= this.max) {
+      break;
+    }
+
+    remove.call(this, oldest);
+  }
+}
+
+/**
+ * Remove session from the store.
+ * @private
+ */
+
+function remove(sessionId) {
+  delete this.sessions[sessionId];
+  this.recent?.delete(sessionId);
+}
@@ -0,0 +1,107 @@
+/*!
+ * Connect - session - tagged JSON serializer
+ * MIT Licensed
+ */
+
+const Buffer = require('node:buffer').Buffer;
+
+/**
+ * JSON serializer preserving `Date`, `Map`, `Set`, `BigInt` and `Buffer` values.
+ *
+ * Such values are stored as `{ "$type": <type>, "value": <value> }` objects;
+ * plain objects with own `$type` property are escaped the same way.
+ *
+ * @public
+ */
+
+module.exports = {
+  parse,
+  stringify
+};
+
+const TAG = '$type';
+
+/**
+ * Serialize `value` to JSON text.
+ *
+ * @param {*} value
+ * @return {String}
+ * @public
+ */
+
+function stringify(value) {
+  return JSON.stringify(value, function (key, val) {
+    // raw value: replacer receives the output of `toJSON()`
+    const raw = this[key];
+
+    if (raw instanceof Date) {
+      return tag('Date', Number.isNaN(raw.getTime()) ? null : raw.toISOString());
+    }
+
+    if (Buffer.isBuffer(raw)) {
+      return tag('Buffer', raw.toString('base64'));
+    }
+
+    if (raw instanceof Map) {
+      return tag('Map', [...raw]);
+    }
+
+    if (raw instanceof Set) {
+      return tag('Set', [...raw]);
+    }
+
+    if (typeof raw === 'bigint') {
+      return tag('BigInt', raw.toString());
+    }
+
+    if (val !== null && typeof val === 'object' && Object.hasOwn(val, TAG)) {
+      return tag('Object', Object.entries(val));
+    }
+
+    return val;
+  });
+}
+
+/**
+ * Parse JSON `text` produced by `stringify()`.
+ *
+ * @param {String} text
+ * @return {*}
+ * @public
+ */
+
+function parse(text) {
+  return JSON.parse(text, (_key, val) => {
+    if (val === null || typeof val !== 'object' || typeof val[TAG] !== 'string' || !('value' in val)) {
+      return val;
+    }
+
+    const { value } = val;
+
+    switch (val[TAG]) {
+      case 'BigInt':
+        return BigInt(value);
+      case 'Buffer':
+        return Buffer.from(value, 'base64');
+      case 'Date':
+        return new Date(value ?? Number.NaN);
+      case 'Map':
+        return new Map(value);
+      case 'Object':
+        return Object.fromEntries(value);
+      case 'Set':
+        return new Set(value);
+      default:
+        return val;
+    }
+  });
+}
+
+/**
+ * Create tagged representation of `value`.
+ * @private
+ */
+
+function tag(type, value) {
+  return { [TAG]: type, value };
+}
@@ -5,8 +5,27 @@
  * MIT Licensed
  */
 
+const { fromCallback, invoke } = require('./async');
+const tracker = require('./tracker');
+
 module.exports = Session;
 
+/**
+ * Name of the session data property holding version
+ * used by stores implementing `compareAndSet`.
+ */
+
+const VERSION = (Session.VERSION = '__version');
+
+/**
+ * Name of the session data property holding metadata kept by the middleware
+ * for its rotation and timeout options: `issuedAt`, `createdAt` and `accessedAt`,
+ * the times in ms when the session ID was issued, and the session was created
+ * and last accessed.
+ */
+
+const META = (Session.META = '__meta');
+
 /**
  * Create a new `Session` with the given request and `data`.
  *
@@ -17,6 +36,10 @@ module.exports = Session;
 function Session(req, data) {
   Object.defineProperty(this, 'req', { value: req });
   Object.defineProperty(this, 'id', { value: req.sessionID });
+  // version is not a part of the session data
+  Object.defineProperty(this, VERSION, { value: data?.[VERSION], writable: true });
+  // neither is metadata, which is only serialized with it
+  Object.defineProperty(this, META, { value: data?.[META], writable: true });
 
   if (typeof data === 'object' && data !== null) {
     // merge data into this, ignoring prototype properties
@@ -28,6 +51,28 @@ function Session(req, data) {
   }
 }
 
+/**
+ * Get the session data to serialize, including its metadata.
+ *
+ * @return {Object}
+ */
+
+defineMethod(Session.prototype, 'toJSON', function toJSON() {
+  return this[META] === undefined ? { ...this } : { ...this, [META]: this[META] };
+});
+
+/**
+ * Mark the session as modified after changing
+ * its nested values in place.
+ *
+ * @return {Session} for chaining
+ */
+
+defineMethod(Session.prototype, 'markModified', function markModified() {
+  tracker.mark(this);
+  return this;
+});
+
 /**
  * Update reset `.cookie.maxAge` to prevent
  * the cookie from expiring when the
@@ -53,13 +98,18 @@ defineMethod(Session.prototype, 'resetMaxAge', function resetMaxAge() {
 
 /**
  * Save the session data with optional callback `fn(err)`.
+ * Returns a promise when `fn` is omitted.
  *
- * @param {Function} fn
- * @return {Session} for chaining
+ * @param {Function} [fn]
+ * @return {Session|Promise} for chaining
  */
 
 defineMethod(Session.prototype, 'save', function save(fn) {
-  this.req.sessionStore.set(this.id, this, fn || (() => {}));
+  if (typeof fn !== 'function') {
+    return fromCallback(done => save.call(this, done));
+  }
+
+  invoke(this.req.sessionStore, 'set', [this.id, this], fn);
   return this;
 });
 
@@ -69,16 +119,21 @@ defineMethod(Session.prototype, 'save', function save(fn) {
  * after which time if no exception has occurred the
  * `req.session` property will be a new `Session` object,
  * although representing the same session.
+ * Returns a promise when `fn` is omitted.
  *
- * @param {Function} fn
- * @return {Session} for chaining
+ * @param {Function} [fn]
+ * @return {Session|Promise} for chaining
  */
 
 defineMethod(Session.prototype, 'reload', function reload(fn) {
+  if (typeof fn !== 'function') {
+    return fromCallback(done => reload.call(this, done));
+  }
+
   const req = this.req;
   const store = this.req.sessionStore;
 
-  store.get(this.id, (err, sess) => {
+  invoke(store, 'get', [this.id], (err, sess) => {
     if (err) return fn(err);
     if (!sess) return fn(new Error('failed to load session'));
     store.createSession(req, sess);
@@ -89,26 +144,36 @@ defineMethod(Session.prototype, 'reload', function reload(fn) {
 
 /**
  * Destroy `this` session.
+ * Returns a promise when `fn` is omitted.
  *
- * @param {Function} fn
- * @return {Session} for chaining
+ * @param {Function} [fn]
+ * @return {Session|Promise} for chaining
  */
 
 defineMethod(Session.prototype, 'destroy', function destroy(fn) {
+  if (typeof fn !== 'function') {
+    return fromCallback(done => destroy.call(this, done));
+  }
+
   delete this.req.session;
-  this.req.sessionStore.destroy(this.id, fn);
+  invoke(this.req.sessionStore, 'destroy', [this.id], fn);
   return this;
 });
 
 /**
  * Regenerate this request's session.
+ * Returns a promise when `fn` is omitted.
  *
- * @param {Function} fn
- * @return {Session} for chaining
+ * @param {Function} [fn]
+ * @return {Session|Promise} for chaining
  */
 
 defineMethod(Session.prototype, 'regenerate', function regenerate(fn) {
-  this.req.sessionStore.regenerate(this.req, fn);
+  if (typeof fn !== 'function') {
+    return fromCallback(done => regenerate.call(this, done));
+  }
+
+  invoke(this.req.sessionStore, 'regenerate', [this.req], fn);
   return this;
 });
 
@@ -0,0 +1,79 @@
+/*!
+ * Connect - session - Signer
+ * MIT Licensed
+ */
+
+const Buffer = require('node:buffer').Buffer;
+const crypto = require('node:crypto');
+
+module.exports = Signer;
+
+/**
+ * HMAC-SHA256 signing of cookie values using a list of `secrets`.
+ *
+ * The first secret signs, all secrets verify, which allows for secret rotation.
+ * Signed values are compatible with `cookie-signature` used by `cookie-parser`.
+ *
+ * @param {Array<String|Buffer>} secrets
+ * @private
+ */
+
+function Signer(secrets) {
+  if (!Array.isArray(secrets) || secrets.length === 0) {
+    throw new TypeError('secrets must be a non-empty array');
+  }
+
+  for (const secret of secrets) {
+    if (!(typeof secret === 'string' || Buffer.isBuffer(secret)) || secret.length === 0) {
+      throw new TypeError('secrets must be non-empty strings or Buffers');
+    }
+  }
+
+  this.secrets = secrets;
+}
+
+/**
+ * Sign `value` with the primary secret.
+ *
+ * @param {String} value
+ * @return {String} value followed by a dot and its signature
+ */
+
+Signer.prototype.sign = function sign(value) {
+  return `${value}.${signature(value, this.secrets[0])}`;
+};
+
+/**
+ * Verify `signed` value with any of the secrets.
+ *
+ * @param {String} signed
+ * @return {{ value: String, index: Number }|undefined} value and index of the secret it was signed with
+ */
+
+Signer.prototype.unsign = function unsign(signed) {
+  const dot = signed.lastIndexOf('.');
+
+  if (dot === -1) {
+    return;
+  }
+
+  const value = signed.slice(0, dot);
+  const mac = Buffer.from(signed.slice(dot + 1));
+  const index = this.secrets.findIndex(secret => {
+    const expected = Buffer.from(signature(value, secret));
+    return expected.length === mac.length && crypto.timingSafeEqual(expected, mac);
+  });
+
+  if (index !== -1) {
+    return { value, index };
+  }
+};
+
+/**
+ * Get base64 encoded HMAC-SHA256 signature of `value` without padding.
+ * @private
+ */
+
+function signature(value, secret) {
+  return crypto.createHmac('sha256', secret).update(value).digest('base64').replace(/=+$/, '');
+}
@@ -0,0 +1,239 @@
+/*!
+ * Connect - session - SqliteStore
+ * MIT Licensed
+ */
+
+const debug = require('debug')('connect-session');
+const { settle } = require('./async');
+const Store = require('./store');
+const util = require('node:util');
+
+module.exports = SqliteStore;
+
+/**
+ * A session store in SQLite database using built-in `node:sqlite` module.
+ *
+ * Session data must be serialized to JSON text.
+ *
+ * @param {Object} [options]
+ * @param {DatabaseSync} [options.database] Open database; takes precedence over `path`
+ * @param {String} [options.path=:memory:] Database file to open
+ * @param {String} [options.table=sessions] Name of the sessions table
+ * @param {Number} [options.pruneInterval] Interval in ms for removing expired sessions
+ * @public
+ */
+
+function SqliteStore(options) {
+  const opts = options || {};
+  const table = opts.table || 'sessions';
+
+  Store.call(this);
+
+  if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(table)) {
+    throw new TypeError('table option must be a valid SQL identifier');
+  }
+
+  if (opts.database) {
+    this.db = opts.database;
+  } else {
+    // loaded lazily: not available on all supported node versions
+    const { DatabaseSync } = require('node:sqlite');
+    this.db = new DatabaseSync(opts.path || ':memory:');
+    this.ownsDatabase = true;
+  }
+
+  this.db.exec(`
+    CREATE TABLE IF NOT EXISTS ${table} (
+      sid TEXT PRIMARY KEY NOT NULL,
+      sess TEXT NOT NULL,
+      expires INTEGER
+    );
+    CREATE INDEX IF NOT EXISTS ${table}_expires ON ${table} (expires);
+  `);
+
+  const active = '(expires IS NULL OR expires > :now)';
+
+  this.statements = {
+    all: this.db.prepare(`SELECT sid, sess FROM ${table} WHERE ${active}`),
+    clear: this.db.prepare(`DELETE FROM ${table}`),
+    destroy: this.db.prepare(`DELETE FROM ${table} WHERE sid = :sid`),
+    get: this.db.prepare(`SELECT sess FROM ${table} WHERE sid = :sid AND ${active}`),
+    length: this.db.prepare(`SELECT count(*) AS count FROM ${table} WHERE ${active}`),
+    prune: this.db.prepare(`DELETE FROM ${table} WHERE expires <= :now`),
+    set: this.db.prepare(
+      `INSERT INTO ${table} (sid, sess, expires) VALUES (:sid, :sess, :expires)
+       ON CONFLICT (sid) DO UPDATE SET sess = excluded.sess, expires = excluded.expires`
+    ),
+    touch: this.db.prepare(
+      `UPDATE ${table} SET sess = json_set(sess, '$.cookie', json(:cookie)), expires = :expires
+       WHERE sid = :sid AND ${active}`
+    )
+  };
+
+  this.startPruning(opts.pruneInterval);
+}
+
+/**
+ * Inherit from Store.
+ */
+
+util.inherits(SqliteStore, Store);
+
+/**
+ * Get all active sessions.
+ *
+ * @param {function} callback
+ * @public
+ */
+
+SqliteStore.prototype.all = function all(callback) {
+  return attempt(() => {
+    const sessions = Object.create(null);
+
+    for (const row of this.statements.all.all({ now: Date.now() })) {
+      sessions[row.sid] = this.serializer.parse(row.sess);
+    }
+
+    return sessions;
+  }, callback);
+};
+
+/**
+ * Clear all sessions.
+ *
+ * @param {function} callback
+ * @public
+ */
+
+SqliteStore.prototype.clear = function clear(callback) {
+  return attempt(() => {
+    this.statements.clear.run();
+  }, callback);
+};
+
+/**
+ * Also close the database if it was opened by the store.
+ *
+ * @public
+ */
+
+SqliteStore.prototype.close = function close() {
+  Store.prototype.close.call(this);
+
+  if (this.ownsDatabase) {
+    this.ownsDatabase = false;
+    this.db.close();
+  }
+};
+
+/**
+ * Destroy the session associated with the given session ID.
+ *
+ * @param {string} sessionId
+ * @param {function} callback
+ * @public
+ */
+
+SqliteStore.prototype.destroy = function destroy(sessionId, callback) {
+  return attempt(() => {
+    this.statements.destroy.run({ sid: sessionId });
+  }, callback);
+};
+
+/**
+ * Fetch session by the given session ID.
+ *
+ * @param {string} sessionId
+ * @param {function} callback
+ * @public
+ */
+
+SqliteStore.prototype.get = function get(sessionId, callback) {
+  return attempt(() => {
+    const row = this.statements.get.get({ sid: sessionId, now: Date.now() });
+    return row && this.serializer.parse(row.sess);
+  }, callback);
+};
+
+/**
+ * Get number of active sessions.
+ *
+ * @param {function} callback
+ * @public
+ */
+
+SqliteStore.prototype.length = function length(callback) {
+  return attempt(() => this.statements.length.get({ now: Date.now() }).count, callback);
+};
+
+/**
+ * Remove all expired sessions.
+ *
+ * @param {function} callback
+ * @public
+ */
+
+SqliteStore.prototype.prune = function prune(callback) {
+  return attempt(() => {
+    const { changes } = this.statements.prune.run({ now: Date.now() });
+    debug('pruned %d sessions', changes);
+  }, callback);
+};
+
+/**
+ * Commit the given session associated with the given sessionId to the store.
+ *
+ * @param {string} sessionId
+ * @param {object} session
+ * @param {function} callback
+ * @public
+ */
+
+SqliteStore.prototype.set = function set(sessionId, session, callback) {
+  return attempt(() => {
+    this.statements.set.run({
+      sid: sessionId,
+      sess: this.serializer.stringify(session),
+      expires: expiration(session)
+    });
+  }, callback);
+};
+
+/**
+ * Touch the given session object associated with the given session ID.
+ *
+ * @param {string} sessionId
+ * @param {object} session
+ * @param {function} callback
+ * @public
+ */
+
+SqliteStore.prototype.touch = function touch(sessionId, session, callback) {
+  return attempt(() => {
+    this.statements.touch.run({
+      sid: sessionId,
+      cookie: this.serializer.stringify(session.cookie),
+      expires: expiration(session),
+      now: Date.now()
+    });
+  }, callback);
+};
+
+/**
+ * Run synchronous `fn` and settle `callback` with its outcome.
+ * @private
+ */
+
+function attempt(fn, callback) {
+  return settle(new Promise(resolve => resolve(fn())), callback);
+}
+
+/**
+ * Get session expiration time in ms or `null` if it never expires.
+ * @private
+ */
+
+function expiration(session) {
+  const expires = session.cookie?.expires;
+  return expires ? new Date(expires).getTime() : null;
+}
@@ -5,15 +5,22 @@
  * MIT Licensed
  */
 
+const { call, fromCallback, invoke } = require('./async');
 const Cookie = require('./cookie');
+const debug = require('debug')('connect-session');
 const EventEmitter = require('node:events').EventEmitter;
 const Session = require('./session');
+const { trace } = require('./tracing');
 const util = require('node:util');
 
 module.exports = Store;
 
 /**
  * Abstract base class for session stores.
+ *
+ * Store methods may either accept a node-style callback as
+ * their last argument or return a promise; the stores of this
+ * module return a promise when the callback is omitted.
  * @public
  */
 
@@ -27,15 +34,65 @@ function Store() {
 
 util.inherits(Store, EventEmitter);
 
+/**
+ * Serializer of session data used by the stores;
+ * the middleware replaces it with its `serializer` option.
+ *
+ * @type {{ stringify: Function, parse: Function }}
+ * @public
+ */
+
+Store.prototype.serializer = JSON;
+
+/**
+ * Remove expired sessions with `prune()` every `interval` ms
+ * in the background, without keeping the process alive.
+ *
+ * @param {Number} [interval] Interval in ms, no pruning if omitted
+ * @protected
+ */
+
+Store.prototype.startPruning = function startPruning(interval) {
+  if (interval === undefined) {
+    return;
+  }
+
+  if (!(typeof interval === 'number' && interval > 0)) {
+    throw new TypeError('pruneInterval option must be a positive number');
+  }
+
+  this.pruneTimer = setInterval(() => {
+    call(this, 'prune', []).catch(err => debug('prune failed %s', err.message));
+  }, interval);
+  this.pruneTimer.unref();
+};
+
+/**
+ * Stop removing expired sessions in the background.
+ *
+ * @public
+ */
+
+Store.prototype.close = function close() {
+  clearInterval(this.pruneTimer);
+  this.pruneTimer = undefined;
+};
+
 /**
  * Re-generate the given requests's session.
+ * Returns a promise when `fn` is omitted.
  *
  * @param {IncomingRequest} req
- * @return {Function} fn
+ * @param {Function} [fn]
+ * @return {Promise|undefined}
  */
 
 Store.prototype.regenerate = function (req, fn) {
-  this.destroy(req.sessionID, err => {
+  if (typeof fn !== 'function') {
+    return fromCallback(done => this.regenerate(req, done));
+  }
+
+  invoke(this, 'destroy', [req.sessionID], err => {
     this.generate(req);
     fn(err);
   });
@@ -44,18 +101,30 @@ Store.prototype.regenerate = function (req, fn) {
 /**
  * Load a `Session` instance via the given `sid`
  * and invoke the callback `fn(err, sess)`.
+ * Returns a promise when `fn` is omitted.
  *
  * @param {String} sid
- * @param {Function} fn
+ * @param {Function} [fn]
+ * @return {Promise|undefined}
  */
 
 Store.prototype.load = function (sid, fn) {
-  this.get(sid, (err, sess) => {
-    if (err) return fn(err);
-    if (!sess) return fn();
-    const req = { sessionID: sid, sessionStore: this };
-    fn(null, this.createSession(req, sess));
-  });
+  if (typeof fn !== 'function') {
+    return fromCallback(done => this.load(sid, done));
+  }
+
+  const context = { sessionID: sid, store: this };
+  trace(
+    'load',
+    context,
+    done => invoke(this, 'get', [sid], done),
+    (err, sess) => {
+      if (err) return fn(err);
+      if (!sess) return fn();
+      const req = { sessionID: sid, sessionStore: this };
+      fn(null, this.createSession(req, sess));
+    }
+  );
 };
 
 /**
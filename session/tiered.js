@@ -0,0 +1,259 @@
+/*!
+ * Connect - session - TieredStore
+ * MIT Licensed
+ */
+
+const { call, settle } = require('./async');
+const debug = require('debug')('connect-session');
+const MemoryStore = require('./memory');
+const util = require('node:util');
+const Wrapper = require('./wrapper');
+
+module.exports = TieredStore;
+
+/**
+ * A wrapper caching sessions of another, slower `store` in memory.
+ *
+ * Cached sessions expire with their cookie, and the least recently
+ * used ones are evicted over `max`. Sessions are written to the cache
+ * and either to the wrapped store before completing ("write-through"),
+ * or to the wrapped store in the background ("write-behind"); failed
+ * background writes are emitted as `error` events. Reads on cache miss
+ * wait for background writes of the session, and sessions written or
+ * destroyed during the read are not cached.
+ *
+ * @param {Store} store Store keeping the sessions
+ * @param {Object} [options]
+ * @param {Number} [options.max=1000] Maximum number of cached sessions
+ * @param {String} [options.mode=write-through] Writing mode: "write-through" or "write-behind"
+ * @public
+ */
+
+function TieredStore(store, options) {
+  const opts = options || {};
+  const mode = opts.mode || 'write-through';
+
+  Wrapper.call(this, store);
+
+  if (mode !== 'write-through' && mode !== 'write-behind') {
+    throw new TypeError('mode option must be "write-through" or "write-behind"');
+  }
+
+  this.cache = new MemoryStore({ max: opts.max ?? 1000 });
+  this.writeBehind = mode === 'write-behind';
+  this.pending = new Map();
+  this.reads = new Map();
+}
+
+/**
+ * Inherit from Wrapper.
+ */
+
+util.inherits(TieredStore, Wrapper);
+
+/**
+ * Serializer shared with the wrapped store and the cache.
+ *
+ * @public
+ */
+
+Object.defineProperty(TieredStore.prototype, 'serializer', {
+  configurable: true,
+  get() {
+    return this.store.serializer ?? JSON;
+  },
+  set(serializer) {
+    this.store.serializer = serializer;
+    this.cache.serializer = serializer;
+  }
+});
+
+/**
+ * Get all sessions from the wrapped store.
+ *
+ * @param {function} callback
+ * @public
+ */
+
+TieredStore.prototype.all = function all(callback) {
+  return settle(
+    this.flush().then(() => call(this.store, 'all', [])),
+    callback
+  );
+};
+
+/**
+ * Clear all sessions.
+ *
+ * @param {function} callback
+ * @public
+ */
+
+TieredStore.prototype.clear = function clear(callback) {
+  this.reads.clear();
+  const promise = this.flush()
+    .then(() => this.cache.clear())
+    .then(() => call(this.store, 'clear', []));
+  return settle(promise, callback);
+};
+
+/**
+ * Destroy the session associated with the given session ID.
+ *
+ * @param {string} sessionId
+ * @param {function} callback
+ * @public
+ */
+
+TieredStore.prototype.destroy = function destroy(sessionId, callback) {
+  this.reads.delete(sessionId);
+  const promise = this.cache.destroy(sessionId).then(() => write.call(this, sessionId, 'destroy', []));
+  return settle(promise, callback);
+};
+
+/**
+ * Wait for sessions written in the background.
+ *
+ * @return {Promise}
+ * @public
+ */
+
+TieredStore.prototype.flush = function flush() {
+  return Promise.all(this.pending.values()).then(() => {});
+};
+
+/**
+ * Fetch session by the given session ID from the cache,
+ * or from the wrapped store on cache miss.
+ *
+ * @param {string} sessionId
+ * @param {function} callback
+ * @public
+ */
+
+TieredStore.prototype.get = function get(sessionId, callback) {
+  const promise = this.cache.get(sessionId).then(async cached => {
+    if (cached) {
+      return cached;
+    }
+
+    debug('cache miss %s', sessionId);
+
+    // wait for the session written in the background
+    await this.pending.get(sessionId);
+
+    const read = {};
+    this.reads.set(sessionId, read);
+    const sess = await call(this.store, 'get', [sessionId]).finally(() => {
+      if (this.reads.get(sessionId) === read) {
+        this.reads.delete(sessionId);
+      } else {
+        // session written or destroyed during the read is not cached
+        debug('stale read %s', sessionId);
+        read.stale = true;
+      }
+    });
+
+    if (sess && !read.stale) {
+      await this.cache.set(sessionId, sess);
+    }
+
+    return sess;
+  });
+  return settle(promise, callback);
+};
+
+/**
+ * Remove the session associated with the given session ID from the cache.
+ *
+ * @param {string} sessionId
+ * @param {function} callback
+ * @public
+ */
+
+TieredStore.prototype.invalidate = function invalidate(sessionId, callback) {
+  this.reads.delete(sessionId);
+  return settle(this.cache.destroy(sessionId), callback);
+};
+
+/**
+ * Get number of sessions in the wrapped store.
+ *
+ * @param {function} callback
+ * @public
+ */
+
+TieredStore.prototype.length = function length(callback) {
+  return settle(
+    this.flush().then(() => call(this.store, 'length', [])),
+    callback
+  );
+};
+
+/**
+ * Commit the given session associated with the given sessionId to the store.
+ *
+ * @param {string} sessionId
+ * @param {object} session
+ * @param {function} callback
+ * @public
+ */
+
+TieredStore.prototype.set = function set(sessionId, session, callback) {
+  this.reads.delete(sessionId);
+  const promise = this.writeBehind
+    ? this.cache.set(sessionId, session).then(() => write.call(this, sessionId, 'set', [session]))
+    : write.call(this, sessionId, 'set', [session]).then(() => this.cache.set(sessionId, session));
+  return settle(promise, callback);
+};
+
+/**
+ * Touch the given session object associated with the given session ID.
+ * Falls back to `set` when the wrapped store does not implement `touch`.
+ *
+ * @param {string} sessionId
+ * @param {object} session
+ * @param {function} callback
+ * @public
+ */
+
+TieredStore.prototype.touch = function touch(sessionId, session, callback) {
+  this.reads.delete(sessionId);
+  const method = typeof this.store.touch === 'function' ? 'touch' : 'set';
+  const promise = this.writeBehind
+    ? this.cache.touch(sessionId, session).then(() => write.call(this, sessionId, method, [session]))
+    : write.call(this, sessionId, method, [session]).then(() => this.cache.touch(sessionId, session));
+  return settle(promise, callback);
+};
+
+/**
+ * Call `method` of the wrapped store for the given session ID, or
+ * queue the call after pending writes of the session in write-behind mode.
+ * @private
+ */
+
+function write(sessionId, method, args) {
+  if (!this.writeBehind) {
+    return call(this.store, method, [sessionId, ...args]);
+  }
+
+  // copy session as it may change before it is written
+  const copy = args.map(session => this.serializer.parse(this.serializer.stringify(session)));
+  const previous = this.pending.get(sessionId) || Promise.resolve();
+  const promise = previous
+    .then(() => call(this.store, method, [sessionId, ...copy]))
+    .catch(err => {
+      debug('background %s of %s failed %s', method, sessionId, err.message);
+
+      if (this.listenerCount('error') > 0) {
+        this.emit('error', err);
+      }
+    });
+
+  this.pending.set(sessionId, promise);
+  promise.then(() => {
+    if (this.pending.get(sessionId) === promise) {
+      this.pending.delete(sessionId);
+    }
+  });
+}
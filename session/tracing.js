@@ -0,0 +1,47 @@
+/*!
+ * Connect - session - tracing
+ * MIT Licensed
+ */
+
+const diagnostics = require('node:diagnostics_channel');
+
+module.exports = {
+  operations: {
+    compareAndSet: 'set',
+    destroy: 'destroy',
+    get: 'get',
+    patch: 'set',
+    regenerate: 'regenerate',
+    set: 'set',
+    touch: 'touch'
+  },
+  trace
+};
+
+/**
+ * Tracing channels of session operations,
+ * named `connect-session:<operation>`.
+ * @private
+ */
+
+const channels = Object.fromEntries(
+  ['destroy', 'get', 'load', 'regenerate', 'set', 'touch'].map(operation => [
+    operation,
+    diagnostics.tracingChannel(`connect-session:${operation}`)
+  ])
+);
+
+/**
+ * Call `fn(callback)` publishing start, end and error
+ * of the `operation` with `context` to its tracing channel.
+ *
+ * @param {String} operation
+ * @param {Object} context
+ * @param {Function} fn
+ * @param {Function} callback
+ * @private
+ */
+
+function trace(operation, context, fn, callback) {
+  channels[operation].traceCallback(fn, 0, context, null, callback);
+}
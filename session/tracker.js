@@ -0,0 +1,203 @@
+/*!
+ * Connect - session - change tracking
+ * MIT Licensed
+ */
+
+module.exports = {
+  changes,
+  mark,
+  track
+};
+
+/**
+ * Change counters of tracked sessions.
+ * @private
+ */
+
+const counters = new WeakMap();
+
+/**
+ * Methods modifying `Map`, `Set` and `Date` instances in place.
+ * @private
+ */
+
+const MUTATORS = [
+  [Map, ['clear', 'delete', 'set']],
+  [Set, ['add', 'clear', 'delete']],
+  [Date, Object.getOwnPropertyNames(Date.prototype).filter(name => name.startsWith('set'))]
+];
+
+/**
+ * Wrap `sess` in a proxy counting modifications of its data.
+ *
+ * Only assignments and deletions of its top-level keys are counted, unless
+ * `deep` is set: then nested plain objects and arrays are tracked too, as well
+ * as calls of methods modifying `Map`, `Set` and `Date` instances; changes to
+ * `.cookie`, non-enumerable properties and values of other types are not.
+ *
+ * @param {Session} sess
+ * @param {Boolean} [deep]
+ * @return {Session}
+ * @private
+ */
+
+function track(sess, deep) {
+  const counter = { changes: 0, deep: Boolean(deep), proxies: new WeakMap() };
+  const proxy = wrap(sess, counter, true);
+
+  counters.set(proxy, counter);
+  return proxy;
+}
+
+/**
+ * Count a modification of tracked `sess` made in place.
+ *
+ * @param {Session} sess
+ * @private
+ */
+
+function mark(sess) {
+  const counter = counters.get(sess);
+
+  if (counter) {
+    counter.changes++;
+  }
+}
+
+/**
+ * Get the number of modifications of tracked `sess`.
+ *
+ * @param {Session} sess
+ * @return {Number|undefined} `undefined` if `sess` is not tracked
+ * @private
+ */
+
+function changes(sess) {
+  return counters.get(sess)?.changes;
+}
+
+/**
+ * Get the proxy counting modifications of `target` in `counter`.
+ * @private
+ */
+
+function wrap(target, counter, root) {
+  let proxy = counter.proxies.get(target);
+
+  if (proxy) {
+    return proxy;
+  }
+
+  const mutators = MUTATORS.find(([type]) => target instanceof type)?.[1];
+
+  if (mutators) {
+    proxy = wrapInstance(target, counter, mutators);
+    counter.proxies.set(target, proxy);
+    return proxy;
+  }
+
+  const ignored = key => root && key === 'cookie';
+
+  proxy = new Proxy(target, {
+    defineProperty(target, key, descriptor) {
+      if (!ignored(key) && isChange(target, key, descriptor)) {
+        counter.changes++;
+      }
+
+      return Reflect.defineProperty(target, key, descriptor);
+    },
+    deleteProperty(target, key) {
+      if (!ignored(key) && Object.prototype.propertyIsEnumerable.call(target, key)) {
+        counter.changes++;
+      }
+
+      return Reflect.deleteProperty(target, key);
+    },
+    get(target, key, receiver) {
+      const value = Reflect.get(target, key, receiver);
+
+      if (ignored(key) || !counter.deep || !isTrackable(value)) {
+        return value;
+      }
+
+      // proxy must return the value of read-only properties as is,
+      // and values of non-enumerable properties are not session data
+      const descriptor = Reflect.getOwnPropertyDescriptor(target, key);
+
+      if (descriptor && ((!descriptor.configurable && !descriptor.writable) || !descriptor.enumerable)) {
+        return value;
+      }
+
+      return wrap(value, counter, false);
+    }
+  });
+
+  counter.proxies.set(target, proxy);
+  return proxy;
+}
+
+/**
+ * Get the proxy of built-in `target` counting calls of its `mutators` in `counter`.
+ * @private
+ */
+
+function wrapInstance(target, counter, mutators) {
+  const proxy = new Proxy(target, {
+    get(target, key) {
+      // methods of built-in types only work with the instance itself
+      const value = Reflect.get(target, key, target);
+
+      if (typeof value !== 'function') {
+        return value;
+      }
+
+      return (...args) => {
+        if (mutators.includes(key)) {
+          counter.changes++;
+        }
+
+        const result = value.apply(target, args);
+
+        if (result === target) {
+          return proxy;
+        }
+
+        // values read from maps are tracked too
+        return key === 'get' && isTrackable(result) ? wrap(result, counter, false) : result;
+      };
+    }
+  });
+
+  return proxy;
+}
+
+/**
+ * Check if defining `key` with `descriptor` modifies enumerable data of `target`.
+ * @private
+ */
+
+function isChange(target, key, descriptor) {
+  const current = Reflect.getOwnPropertyDescriptor(target, key);
+
+  if (!(descriptor.enumerable ?? current?.enumerable)) {
+    return false;
+  }
+
+  return !(current && 'value' in descriptor && Object.is(current.value, descriptor.value));
+}
+
+/**
+ * Check if `val` is a plain object, an array, or a `Map`, `Set` or `Date` instance.
+ * @private
+ */
+
+function isTrackable(val) {
+  if (val === null || typeof val !== 'object') {
+    return false;
+  }
+
+  const proto = Object.getPrototypeOf(val);
+  return (
+    Array.isArray(val) || proto === Object.prototype || proto === null || MUTATORS.some(([type]) => val instanceof type)
+  );
+}
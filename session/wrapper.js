@@ -0,0 +1,89 @@
+/*!
+ * Connect - session - Wrapper
+ * MIT Licensed
+ */
+
+const { call, settle } = require('./async');
+const Store = require('./store');
+const util = require('node:util');
+
+module.exports = Wrapper;
+
+/**
+ * Base class for stores wrapping another `store`.
+ *
+ * Forwards `connect` and `disconnect` events of the wrapped store,
+ * so that the middleware tracks its readiness, and passes methods
+ * not dealing with session data through.
+ *
+ * @param {Store} store
+ * @private
+ */
+
+function Wrapper(store) {
+  Store.call(this);
+
+  if (!isStore(store)) {
+    throw new TypeError('store must implement get, set and destroy');
+  }
+
+  this.store = store;
+
+  for (const event of ['connect', 'disconnect']) {
+    store.on?.(event, (...args) => this.emit(event, ...args));
+  }
+}
+
+/**
+ * Inherit from Store.
+ */
+
+util.inherits(Wrapper, Store);
+
+/**
+ * Clear all sessions.
+ *
+ * @param {function} callback
+ * @public
+ */
+
+Wrapper.prototype.clear = function clear(callback) {
+  return settle(call(this.store, 'clear', []), callback);
+};
+
+/**
+ * Destroy the session associated with the given session ID.
+ *
+ * @param {string} sessionId
+ * @param {function} callback
+ * @public
+ */
+
+Wrapper.prototype.destroy = function destroy(sessionId, callback) {
+  return settle(call(this.store, 'destroy', [sessionId]), callback);
+};
+
+/**
+ * Get number of sessions.
+ *
+ * @param {function} callback
+ * @public
+ */
+
+Wrapper.prototype.length = function length(callback) {
+  return settle(call(this.store, 'length', []), callback);
+};
+
+/**
+ * Check if `store` implements the required store methods.
+ * @private
+ */
+
+function isStore(store) {
+  return (
+    store != null &&
+    typeof store.get === 'function' &&
+    typeof store.set === 'function' &&
+    typeof store.destroy === 'function'
+  );
+}
@@ -0,0 +1,37 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const Cipher = require('../session/cipher');
+
+describe('Cipher', () => {
+  it('should encrypt and decrypt', () => {
+    const cipher = new Cipher(['tobo']);
+    const data = cipher.encrypt('hello');
+
+    assert.notStrictEqual(data, 'hello');
+    assert.notStrictEqual(cipher.encrypt('hello'), data);
+    assert.strictEqual(cipher.decrypt(data), 'hello');
+  });
+
+  it('should authenticate additional data', () => {
+    const cipher = new Cipher(['tobo']);
+    const data = cipher.encrypt('hello', 'foo');
+
+    assert.strictEqual(cipher.decrypt(data, 'foo'), 'hello');
+    assert.strictEqual(cipher.decrypt(data, 'bar'), undefined);
+  });
+
+  it('should decrypt with any key', () => {
+    const data = new Cipher([Buffer.from('old')]).encrypt('hello');
+
+    assert.strictEqual(new Cipher(['new', Buffer.from('old')]).decrypt(data), 'hello');
+    assert.strictEqual(new Cipher(['new']).decrypt(data), undefined);
+  });
+
+  it('should reject invalid data', () => {
+    const cipher = new Cipher(['tobo']);
+
+    assert.strictEqual(cipher.decrypt(undefined), undefined);
+    assert.strictEqual(cipher.decrypt(''), undefined);
+    assert.strictEqual(cipher.decrypt(`${cipher.encrypt('hello')}AA`), undefined);
+  });
+});
@@ -0,0 +1,100 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const session = require('../');
+const { shouldStoreSessions } = require('./support/store');
+
+describe('CompressedStore', () => {
+  const large = { cookie: { expires: null }, cart: 'item,'.repeat(500) };
+  const small = { cookie: { expires: null }, user: 'tj' };
+
+  function createStore(options) {
+    const inner = new session.MemoryStore();
+    const store = new session.CompressedStore(inner, options);
+    return { inner, store };
+  }
+
+  shouldStoreSessions(() => createStore({ threshold: 0 }).store);
+
+  it('should reject invalid arguments', () => {
+    assert.throws(() => new session.CompressedStore(), /store must implement/);
+    assert.throws(() => createStore({ algorithm: 'zip' }), /algorithm option must be/);
+    assert.throws(() => createStore({ threshold: -1 }), /threshold option must be/);
+  });
+
+  it('should compress large sessions', async () => {
+    const { inner, store } = createStore();
+
+    await store.set('123', large);
+
+    const stored = await inner.get('123');
+    assert.deepStrictEqual(stored.cookie, large.cookie);
+    assert.strictEqual(stored.__compressed, 'gzip');
+    assert.ok(stored.data.length < large.cart.length);
+    assert.deepStrictEqual(await store.get('123'), large);
+  });
+
+  it('should compress with brotli', async () => {
+    const { inner, store } = createStore({ algorithm: 'brotli' });
+
+    await store.set('123', large);
+
+    assert.strictEqual((await inner.get('123')).__compressed, 'br');
+    assert.deepStrictEqual(await store.get('123'), large);
+  });
+
+  it('should keep small sessions as they are', async () => {
+    const { inner, store } = createStore();
+
+    await store.set('123', small);
+
+    assert.deepStrictEqual(await inner.get('123'), small);
+    assert.deepStrictEqual(await store.get('123'), small);
+  });
+
+  it('should load uncompressed sessions', async () => {
+    const { inner, store } = createStore({ threshold: 0 });
+
+    await inner.set('123', large);
+
+    assert.deepStrictEqual(await store.get('123'), large);
+    assert.strictEqual(await store.get('456'), undefined);
+  });
+
+  it('should load sessions compressed with another algorithm', async () => {
+    const inner = new session.MemoryStore();
+    await new session.CompressedStore(inner, { algorithm: 'brotli' }).set('123', large);
+
+    assert.deepStrictEqual(await new session.CompressedStore(inner).get('123'), large);
+  });
+
+  it('should report compression ratio', async () => {
+    const { store } = createStore();
+
+    assert.deepStrictEqual(store.stats(), { sessions: 0, size: 0, compressedSize: 0, ratio: 1 });
+
+    await store.set('1', large);
+    await store.set('2', small);
+
+    const stats = store.stats();
+    assert.strictEqual(stats.sessions, 1);
+    assert.ok(stats.size > large.cart.length);
+    assert.ok(stats.ratio > 0 && stats.ratio < 0.1);
+  });
+
+  it('should share serializer with wrapped store', () => {
+    const { inner, store } = createStore();
+
+    store.serializer = session.taggedJSON;
+
+    assert.strictEqual(inner.serializer, session.taggedJSON);
+  });
+
+  it('should fail for unsupported encoding', async () => {
+    const { inner, store } = createStore();
+
+    await inner.set('123', { cookie: {}, __compressed: 'zip', data: '' });
+
+    await assert.rejects(store.get('123'), /unsupported session encoding "zip"/);
+  });
+});
@@ -0,0 +1,92 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { fetch } = require('supertest-fetch');
+
+const session = require('../');
+const { createServer } = require('./support/server');
+const { shouldStoreSessions } = require('./support/store');
+
+describe('EncryptedStore', () => {
+  function createStore(options) {
+    const inner = new session.MemoryStore();
+    const store = new session.EncryptedStore(inner, { keys: ['tobo'], ...options });
+    return { inner, store };
+  }
+
+  shouldStoreSessions(() => createStore().store);
+
+  it('should reject invalid arguments', () => {
+    assert.throws(() => new session.EncryptedStore(), /store must implement/);
+    assert.throws(() => new session.EncryptedStore({}, { keys: ['tobo'] }), /store must implement/);
+    assert.throws(() => new session.EncryptedStore(new session.MemoryStore(), {}), /keys must be/);
+  });
+
+  it('should encrypt session data', async () => {
+    const { inner, store } = createStore();
+    const sess = { cookie: { expires: null }, user: 'tj' };
+
+    await store.set('123', sess);
+
+    const stored = await inner.get('123');
+    assert.deepStrictEqual(stored.cookie, sess.cookie);
+    assert.deepStrictEqual(Object.keys(stored), ['cookie', 'data']);
+    assert.strictEqual(typeof stored.data, 'string');
+    assert.strictEqual(stored.user, undefined);
+    assert.deepStrictEqual(await store.get('123'), sess);
+  });
+
+  it('should decrypt with rotated keys', async () => {
+    const inner = new session.MemoryStore();
+    await new session.EncryptedStore(inner, { keys: ['old'] }).set('123', { cookie: {}, user: 'tj' });
+
+    const store = new session.EncryptedStore(inner, { keys: ['new', 'old'] });
+    assert.strictEqual((await store.get('123')).user, 'tj');
+
+    const other = new session.EncryptedStore(inner, { keys: ['new'] });
+    assert.strictEqual(await other.get('123'), undefined);
+  });
+
+  it('should bind session data to session ID', async () => {
+    const { inner, store } = createStore();
+
+    await store.set('123', { cookie: {}, user: 'tj' });
+    await inner.set('456', await inner.get('123'));
+
+    assert.strictEqual(await store.get('456'), undefined);
+  });
+
+  it('should forward connect and disconnect events', () => {
+    const { inner, store } = createStore();
+    const events = [];
+
+    store.on('connect', () => events.push('connect'));
+    store.on('disconnect', () => events.push('disconnect'));
+    inner.emit('disconnect');
+    inner.emit('connect');
+
+    assert.deepStrictEqual(events, ['disconnect', 'connect']);
+  });
+
+  it('should serialize data before encryption', async () => {
+    const { inner, store } = createStore();
+
+    store.serializer = session.taggedJSON;
+    await store.set('123', { cookie: {}, since: new Date(1000) });
+
+    assert.strictEqual(inner.serializer, JSON);
+    assert.deepStrictEqual((await store.get('123')).since, new Date(1000));
+  });
+
+  it('should skip sessions when wrapped store is disconnected', async () => {
+    const { inner, store } = createStore();
+    const server = createServer({ store }, (req, res) => {
+      res.end(typeof req.session);
+    });
+
+    inner.emit('disconnect');
+    await fetch(server, '/').expect(200, 'undefined');
+
+    inner.emit('connect');
+    await fetch(server, '/').expect(200, 'object');
+  });
+});
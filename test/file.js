@@ -0,0 +1,141 @@
+const { after, before, describe, it } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const timers = require('node:timers/promises');
+const { fetch } = require('supertest-fetch');
+
+const session = require('../');
+const utils = require('./support/utils');
+const { cookie } = utils;
+const { createServer } = require('./support/server');
+const { shouldStoreSessions } = require('./support/store');
+
+describe('FileStore', () => {
+  const ctx = {};
+
+  before(() => {
+    ctx.dir = fs.mkdtempSync(path.join(os.tmpdir(), 'connect-session-'));
+  });
+
+  after(() => {
+    fs.rmSync(ctx.dir, { recursive: true, force: true });
+  });
+
+  function createStore(options) {
+    return new session.FileStore({ path: fs.mkdtempSync(path.join(ctx.dir, 'store-')), ...options });
+  }
+
+  shouldStoreSessions(createStore);
+
+  it('should create the directory', () => {
+    const dir = path.join(ctx.dir, 'a', 'b');
+    const _store = new session.FileStore({ path: dir });
+    assert.ok(fs.statSync(dir).isDirectory());
+  });
+
+  it('should reject invalid options', () => {
+    assert.throws(() => createStore({ pruneInterval: 'foo' }), /pruneInterval option/);
+  });
+
+  it('should store one file per session', async () => {
+    const store = createStore();
+    const sess = { cookie: { maxAge: 2000 }, name: 'tj' };
+
+    await store.set('123', sess);
+    await store.set('a/../b', sess);
+
+    assert.deepStrictEqual(fs.readdirSync(store.path).sort(), ['123.json', 'a%2F..%2Fb.json']);
+    assert.deepStrictEqual(await store.get('123'), sess);
+    assert.deepStrictEqual(Object.keys(await store.all()).sort(), ['123', 'a/../b']);
+  });
+
+  it('should not leave temporary files', async () => {
+    const store = createStore();
+    await Promise.all([store.set('1', { cookie: {}, n: 1 }), store.set('1', { cookie: {}, n: 2 })]);
+    assert.deepStrictEqual(fs.readdirSync(store.path), ['1.json']);
+  });
+
+  it('should ignore destroying missing session', async () => {
+    const store = createStore();
+    await store.set('123', { cookie: {} });
+    await store.destroy('123');
+    await store.destroy('123');
+    assert.strictEqual(await store.length(), 0);
+  });
+
+  it('should remove expired session on read', async () => {
+    const store = createStore();
+    await store.set('123', { cookie: { expires: new Date(Date.now() - 1) } });
+    assert.strictEqual(await store.get('123'), undefined);
+    assert.deepStrictEqual(fs.readdirSync(store.path), []);
+  });
+
+  it('should update only cookie on touch', async () => {
+    const store = createStore();
+    await store.set('123', { cookie: { expires: new Date(Date.now() + 1000) }, name: 'tj' });
+
+    const expires = new Date(Date.now() + 5000);
+    await store.touch('123', { cookie: { expires }, name: 'ignored' });
+
+    const sess = await store.get('123');
+    assert.strictEqual(sess.name, 'tj');
+    assert.strictEqual(sess.cookie.expires, expires.toISOString());
+  });
+
+  it('should not overwrite session set during touch', async () => {
+    const store = createStore();
+    await store.set('1', { cookie: { expires: null }, cart: 'old' });
+
+    const expires = new Date(Date.now() + 5000);
+    await Promise.all([
+      store.touch('1', { cookie: { expires }, cart: 'old' }),
+      store.set('1', { cookie: {}, cart: 'new' })
+    ]);
+
+    assert.strictEqual((await store.get('1')).cart, 'new');
+  });
+
+  it('should not create session on touch', async () => {
+    const store = createStore();
+    await store.touch('123', { cookie: {} });
+    assert.strictEqual(await store.length(), 0);
+  });
+
+  it('should prune expired sessions', async () => {
+    const store = createStore();
+    await store.set('1', { cookie: { expires: new Date(Date.now() - 1) } });
+    await store.set('2', { cookie: { expires: null } });
+    await store.prune();
+    assert.deepStrictEqual(fs.readdirSync(store.path), ['2.json']);
+  });
+
+  it('should prune expired sessions in background', async () => {
+    const store = createStore({ pruneInterval: 10 });
+    assert.strictEqual(store.pruneTimer.hasRef(), false);
+
+    await store.set('1', { cookie: { expires: new Date(Date.now() + 5) } });
+    await timers.setTimeout(50);
+    store.close();
+
+    assert.deepStrictEqual(fs.readdirSync(store.path), []);
+  });
+
+  it('should persist sessions across store instances', async () => {
+    const dir = fs.mkdtempSync(path.join(ctx.dir, 'store-'));
+    const server = createServer({ store: new session.FileStore({ path: dir }) }, (req, res) => {
+      req.session.count ??= 0;
+      req.session.count++;
+      res.end(`hits: ${req.session.count}`);
+    });
+
+    const res = await fetch(server, '/').expect(200, 'hits: 1');
+
+    const server2 = createServer({ store: new session.FileStore({ path: dir }) }, (req, res) => {
+      res.end(`hits: ${req.session.count}`);
+    });
+
+    await fetch(server2, '/', { headers: { Cookie: cookie(res) } }).expect(200, 'hits: 1');
+  });
+});
@@ -0,0 +1,171 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const timers = require('node:timers/promises');
+const session = require('../');
+
+describe('MemoryStore', () => {
+  describe('when callback is omitted', () => {
+    it('should return promises', async () => {
+      const store = new session.MemoryStore();
+      const sess = { cookie: { maxAge: 2000 }, name: 'tj' };
+
+      await store.set('123', sess);
+      assert.deepStrictEqual(await store.get('123'), sess);
+      assert.strictEqual(await store.length(), 1);
+      assert.deepStrictEqual(Object.keys(await store.all()), ['123']);
+
+      await store.touch('123', { cookie: { maxAge: 5000 } });
+      assert.strictEqual((await store.get('123')).cookie.maxAge, 5000);
+
+      await store.destroy('123');
+      assert.strictEqual(await store.get('123'), undefined);
+
+      await store.set('456', sess);
+      await store.clear();
+      assert.strictEqual(await store.length(), 0);
+    });
+
+    it('should load session', async () => {
+      const store = new session.MemoryStore();
+      await store.set('123', { cookie: { maxAge: 2000 }, name: 'tj' });
+
+      const sess = await store.load('123');
+      assert.ok(sess instanceof session.Session);
+      assert.strictEqual(sess.name, 'tj');
+      assert.strictEqual(await store.load('456'), undefined);
+    });
+  });
+
+  describe('when callback is passed', () => {
+    it('should not return a value', () => {
+      const store = new session.MemoryStore();
+      assert.strictEqual(
+        store.set('123', { cookie: {} }, () => {}),
+        undefined
+      );
+      assert.strictEqual(
+        store.get('123', () => {}),
+        undefined
+      );
+    });
+  });
+});
+
+describe('MemoryStore options', () => {
+  it('should reject invalid options', () => {
+    assert.throws(() => new session.MemoryStore({ max: 0 }), /max option/);
+    assert.throws(() => new session.MemoryStore({ max: 'foo' }), /max option/);
+    assert.throws(() => new session.MemoryStore({ pruneInterval: -1 }), /pruneInterval option/);
+  });
+
+  describe('max', () => {
+    it('should evict least recently used sessions', async () => {
+      const store = new session.MemoryStore({ max: 2 });
+
+      await store.set('1', { cookie: {}, n: 1 });
+      await store.set('2', { cookie: {}, n: 2 });
+      // reading makes session "1" the most recently used
+      await store.get('1');
+      await store.set('3', { cookie: {}, n: 3 });
+
+      assert.deepStrictEqual(Object.keys(await store.all()).sort(), ['1', '3']);
+    });
+
+    it('should count touch as use', async () => {
+      const store = new session.MemoryStore({ max: 2 });
+
+      await store.set('1', { cookie: {} });
+      await store.set('2', { cookie: {} });
+      await store.touch('1', { cookie: {} });
+      await store.set('3', { cookie: {} });
+
+      assert.deepStrictEqual(Object.keys(await store.all()).sort(), ['1', '3']);
+    });
+  });
+
+  describe('pruneInterval', () => {
+    it('should remove expired sessions in background', async () => {
+      const store = new session.MemoryStore({ pruneInterval: 10 });
+
+      await store.set('1', { cookie: { expires: new Date(Date.now() + 5) } });
+      await store.set('2', { cookie: { expires: new Date(Date.now() + 60000) } });
+      assert.strictEqual(Object.keys(store.sessions).length, 2);
+
+      await timers.setTimeout(50);
+      store.close();
+
+      assert.deepStrictEqual(Object.keys(store.sessions), ['2']);
+    });
+
+    it('should not keep the process alive', () => {
+      const store = new session.MemoryStore({ pruneInterval: 1000 });
+      assert.strictEqual(store.pruneTimer.hasRef(), false);
+      store.close();
+    });
+  });
+
+  describe('.compareAndSet()', () => {
+    it('should save only the expected version', async () => {
+      const store = new session.MemoryStore();
+      const sess = { cookie: { expires: null }, name: 'tj' };
+
+      assert.strictEqual(await store.compareAndSet('123', sess, 1), false);
+      assert.strictEqual(await store.compareAndSet('123', sess, 0), true);
+      assert.strictEqual((await store.get('123'))[session.Session.VERSION], 1);
+
+      assert.strictEqual(await store.compareAndSet('123', { ...sess, name: 'bob' }, 0), false);
+      assert.strictEqual(await store.compareAndSet('123', { ...sess, name: 'bob' }, 1), true);
+      assert.strictEqual((await store.get('123')).name, 'bob');
+    });
+
+    it('should keep version when touched', async () => {
+      const store = new session.MemoryStore();
+
+      await store.compareAndSet('123', { cookie: { maxAge: 2000 } }, 0);
+      await store.touch('123', { cookie: { maxAge: 5000 } });
+
+      assert.strictEqual((await store.get('123'))[session.Session.VERSION], 1);
+    });
+  });
+
+  describe('.patch()', () => {
+    it('should update and remove top-level keys', async () => {
+      const store = new session.MemoryStore();
+
+      await store.set('123', { cookie: { maxAge: 2000 }, name: 'tj', count: 1, flash: 'hi' });
+      assert.strictEqual(await store.patch('123', { cookie: { maxAge: 5000 }, count: 2 }, ['flash']), true);
+
+      assert.deepStrictEqual(await store.get('123'), { cookie: { maxAge: 5000 }, name: 'tj', count: 2 });
+    });
+
+    it('should report missing session', async () => {
+      const store = new session.MemoryStore();
+
+      assert.strictEqual(await store.patch('123', { cookie: { maxAge: 5000 } }, []), false);
+
+      assert.strictEqual(await store.get('123'), undefined);
+    });
+
+    it('should report session rotated to another ID', async () => {
+      const store = new session.MemoryStore();
+      const pointer = { cookie: { expires: new Date(Date.now() + 5000), rotatedTo: '456' } };
+
+      await store.set('123', pointer);
+      assert.strictEqual(await store.patch('123', { cookie: { maxAge: 5000 }, count: 2 }, ['flash']), false);
+
+      assert.deepStrictEqual(await store.get('123'), JSON.parse(JSON.stringify(pointer)));
+    });
+  });
+
+  describe('.prune()', () => {
+    it('should remove expired sessions', async () => {
+      const store = new session.MemoryStore();
+
+      await store.set('1', { cookie: { expires: new Date(Date.now() - 1) } });
+      await store.set('2', { cookie: { expires: null } });
+      await store.prune();
+
+      assert.deepStrictEqual(Object.keys(store.sessions), ['2']);
+    });
+  });
+});
@@ -0,0 +1,48 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const serializer = require('../session/serializer');
+
+function roundtrip(value) {
+  return serializer.parse(serializer.stringify(value));
+}
+
+describe('taggedJSON', () => {
+  it('should serialize JSON values as JSON', () => {
+    const value = { name: 'tj', count: 1, tags: ['a', null], nested: { ok: true } };
+
+    assert.deepStrictEqual(JSON.parse(serializer.stringify(value)), value);
+    assert.deepStrictEqual(roundtrip(value), value);
+  });
+
+  it('should restore dates', () => {
+    const value = roundtrip({ date: new Date(1000), invalid: new Date(Number.NaN) });
+
+    assert.ok(value.date instanceof Date);
+    assert.strictEqual(value.date.getTime(), 1000);
+    assert.ok(Number.isNaN(value.invalid.getTime()));
+  });
+
+  it('should restore maps and sets', () => {
+    const value = roundtrip({ map: new Map([[1, new Set(['a'])]]), set: new Set([new Date(0)]) });
+
+    assert.deepStrictEqual(value.map, new Map([[1, new Set(['a'])]]));
+    assert.deepStrictEqual(value.set, new Set([new Date(0)]));
+  });
+
+  it('should restore bigints and buffers', () => {
+    const value = roundtrip({ big: -(2n ** 64n), buf: Buffer.from([0, 1, 255]) });
+
+    assert.strictEqual(value.big, -(2n ** 64n));
+    assert.deepStrictEqual(value.buf, Buffer.from([0, 1, 255]));
+  });
+
+  it('should escape objects looking like tagged values', () => {
+    const value = { $type: 'Date', value: 'foo', nested: { $type: 'Map', value: [] } };
+
+    assert.deepStrictEqual(roundtrip(value), value);
+  });
+
+  it('should parse plain JSON', () => {
+    assert.deepStrictEqual(serializer.parse('{"cookie":{"expires":null},"n":1}'), { cookie: { expires: null }, n: 1 });
+  });
+});
@@ -4,6 +4,7 @@ const assert = require('node:assert');
 const http = require('node:http');
 const { fetch } = require('supertest-fetch');
 const session = require('../');
+const AsyncStore = require('./support/async-store');
 const SyncStore = require('./support/sync-store');
 const utils = require('./support/utils');
 const { cookie, storeGet, storeLen, storeSet } = utils;
@@ -20,6 +21,27 @@ describe('session()', () => {
     assert.strictEqual(typeof session.Session, 'function');
     assert.strictEqual(typeof session.Store, 'function');
     assert.strictEqual(typeof session.MemoryStore, 'function');
+    assert.strictEqual(typeof session.FileStore, 'function');
+    assert.strictEqual(typeof session.SqliteStore, 'function');
+    assert.strictEqual(typeof session.EncryptedStore, 'function');
+    assert.strictEqual(typeof session.CompressedStore, 'function');
+    assert.strictEqual(typeof session.TieredStore, 'function');
+  });
+
+  it('should return an event emitter', () => {
+    const middleware = session();
+    const events = [];
+
+    middleware.on('foo', value => events.push(value));
+    middleware.emit('foo', 'bar');
+
+    assert.deepStrictEqual(events, ['bar']);
+    assert.strictEqual(typeof middleware.call, 'function');
+  });
+
+  it('should export serializers', () => {
+    assert.strictEqual(typeof session.taggedJSON.stringify, 'function');
+    assert.strictEqual(typeof session.taggedJSON.parse, 'function');
   });
 
   it('should do nothing if req.session exists', async () => {
@@ -506,4 +528,189 @@ describe('session()', () => {
       });
     });
   });
+
+  describe('promise store', () => {
+    it('should save and load session', async () => {
+      const store = new AsyncStore();
+      const server = createServer({ store }, (req, res) => {
+        req.session.count ??= 0;
+        req.session.count++;
+        res.end(`hits: ${req.session.count}`);
+      });
+
+      const res = await fetch(server, '/').expectStatus(200).expectBody('hits: 1');
+      await fetch(server, '/', { headers: { Cookie: cookie(res) } })
+        .expectStatus(200)
+        .expectBody('hits: 2');
+    });
+
+    it('should touch unmodified session', async () => {
+      const store = new AsyncStore();
+      const server = createServer({ store, resave: false }, (req, res) => {
+        req.session.user = 'bob';
+        res.end();
+      });
+
+      let touched = 0;
+      const _touch = store.touch;
+      store.touch = function touch(...args) {
+        touched++;
+        return _touch.apply(this, args);
+      };
+
+      const res = await fetch(server, '/').expectStatus(200);
+      await fetch(server, '/', { headers: { Cookie: cookie(res) } }).expectStatus(200);
+      assert.strictEqual(touched, 1);
+    });
+
+    it('should destroy session', async () => {
+      const store = new AsyncStore();
+      const server = createServer({ store, unset: 'destroy' }, (req, res) => {
+        req.session.count ??= 0;
+        if (++req.session.count > 1) {
+          req.session = null;
+        }
+        res.end();
+      });
+
+      const res = await fetch(server, '/').expectStatus(200);
+      assert.strictEqual(Object.keys(store.sessions).length, 1);
+      await fetch(server, '/', { headers: { Cookie: cookie(res) } }).expectStatus(200);
+      assert.strictEqual(Object.keys(store.sessions).length, 0);
+    });
+
+    it('should pass session fetch rejection', async () => {
+      const store = new AsyncStore();
+      const server = createServer({ store }, (req, res) => {
+        req.session.hit = true;
+        res.end();
+      });
+
+      const res = await fetch(server, '/').expectStatus(200);
+
+      store.get = async () => {
+        throw new Error('boom!');
+      };
+
+      await fetch(server, '/', { headers: { Cookie: cookie(res) } })
+        .expectStatus(500)
+        .expectBody('boom!');
+    });
+
+    it('should regenerate session', async () => {
+      const store = new AsyncStore();
+      const server = createServer({ store }, (req, res) => {
+        const id = req.session.id;
+        req.session.regenerate(err => {
+          if (err) res.statusCode = 500;
+          res.end(String(req.session.id === id));
+        });
+      });
+
+      const res = await fetch(server, '/').expectStatus(200);
+      const res2 = await fetch(server, '/', { headers: { Cookie: cookie(res) } }).expect(200, 'false');
+      shouldSetCookieToDifferentSessionId(utils.sid(res))(res2);
+      assert.deepStrictEqual(Object.keys(store.sessions), [utils.sid(res2)]);
+    });
+  });
+
+  describe('lifecycle events', () => {
+    const EVENTS = ['create', 'load', 'miss', 'save', 'touch', 'destroy', 'regenerate', 'cookie', 'error'];
+
+    // record events of the middleware as "<event> <reason>"
+    function record(server) {
+      const { middleware } = server.listeners('request')[0];
+      const events = [];
+      const details = [];
+
+      for (const event of EVENTS) {
+        middleware.on(event, detail => {
+          events.push(detail.reason ? `${event} ${detail.reason}` : event);
+          details.push(detail);
+        });
+      }
+
+      return { details, events };
+    }
+
+    it('should emit create, cookie and save for new session', async () => {
+      const server = createServer(null, (req, res) => {
+        req.session.user = 'tj';
+        res.end();
+      });
+      const { details, events } = record(server);
+
+      const res = await fetch(server, '/').expect(200);
+
+      assert.deepStrictEqual(events, ['create new', 'cookie new', 'save set']);
+      for (const detail of details) {
+        assert.strictEqual(detail.sessionID, utils.sid(res));
+        assert.ok(detail.req instanceof http.IncomingMessage);
+      }
+      assert.strictEqual(typeof details[2].duration, 'number');
+    });
+
+    it('should emit load and touch for unmodified session', async () => {
+      const server = createServer({ resave: false }, (req, res) => {
+        req.session.user = 'tj';
+        res.end();
+      });
+      const res = await fetch(server, '/').expect(200);
+      const { details, events } = record(server);
+
+      await fetch(server, '/', { headers: { Cookie: cookie(res) } }).expect(200);
+
+      assert.deepStrictEqual(events, ['load', 'touch']);
+      assert.ok(details.every(detail => detail.duration >= 0));
+    });
+
+    it('should emit miss for unknown session', async () => {
+      const store = new session.MemoryStore();
+      const server = createServer({ store });
+
+      const res = await fetch(server, '/').expect(200);
+      await store.clear();
+      const { events } = record(server);
+
+      await fetch(server, '/', { headers: { Cookie: cookie(res) } }).expect(200);
+
+      assert.deepStrictEqual(events, ['miss missing', 'create missing', 'cookie new', 'save set']);
+    });
+
+    it('should emit destroy and regenerate', async () => {
+      const server = createServer(null, (req, res) => {
+        const previousID = req.session.id;
+        req.session.regenerate(err => {
+          if (err) res.statusCode = 500;
+          req.session.destroy(err => {
+            if (err) res.statusCode = 500;
+            res.end(previousID);
+          });
+        });
+      });
+      const { details, events } = record(server);
+
+      const res = await fetch(server, '/').expect(200);
+
+      assert.deepStrictEqual(events, ['create new', 'regenerate explicit', 'destroy explicit']);
+      assert.strictEqual(details[1].previousID, await res.text());
+      assert.notStrictEqual(details[1].sessionID, details[1].previousID);
+    });
+
+    it('should emit error only when listened to', async () => {
+      const store = new session.MemoryStore();
+      const server = createServer({ store });
+
+      const res = await fetch(server, '/').expect(200);
+      store.get = (_sid, callback) => setImmediate(callback, new Error('boom!'));
+
+      await fetch(server, '/', { headers: { Cookie: cookie(res) } }).expect(500, 'boom!');
+
+      const { details, events } = record(server);
+      await fetch(server, '/', { headers: { Cookie: cookie(res) } }).expect(500, 'boom!');
+
+      assert.deepStrictEqual(events, ['error load']);
+      assert.strictEqual(details[0].error.message, 'boom!');
+    });
+  });
 });
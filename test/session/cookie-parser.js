@@ -9,6 +9,7 @@ const connect = require('@pirxpilot/connect');
 
 const response = require('../support/response');
 
+const session = require('../../');
 const { createSession } = require('../support/server');
 
 const { shouldSetCookie } = require('../support/should');
@@ -84,4 +85,35 @@ describe('cookieParser()', () => {
 
     await fetch(server, '/', { headers: { Cookie: cookie(res) } }).expect(200, '2');
   });
+
+  it('should read from req.signedCookies when signer rejects req.secret', async () => {
+    const store = new session.MemoryStore();
+    const app1 = connect()
+      .use((_req, res, next) => {
+        response(res);
+        next();
+      })
+      .use(cookieParser('keyboard cat'))
+      .use(createSession({ store }))
+      .use((req, res) => {
+        req.session.user = 'bob';
+        res.end();
+      });
+    const app2 = connect()
+      .use(cookieParser('keyboard cat'))
+      .use((req, _res, next) => {
+        req.secret = new TextEncoder().encode('keyboard cat');
+        next();
+      })
+      .use(createSession({ store }))
+      .use((req, res) => {
+        res.end(req.session.user);
+      });
+
+    const res = await fetch(createServer(app1), '/').expect(200);
+
+    await fetch(createServer(app2), '/', { headers: { Cookie: cookie(res) } })
+      .expectHeader('Set-Cookie', null)
+      .expect(200, 'bob');
+  });
 });
@@ -1,12 +1,17 @@
-const { before, describe, it, after } = require('node:test');
+const { before, describe, it, after, mock } = require('node:test');
 const assert = require('node:assert');
+const http = require('node:http');
+const timers = require('node:timers/promises');
 const { fetch } = require('supertest-fetch');
 const utils = require('../support/utils');
-const { cookie, storeLen } = utils;
+const { cookie, sid, storeGet, storeLen } = utils;
 
 const session = require('../../');
+const SmartStore = require('../support/smart-store');
+const response = require('../support/response');
 
 const {
+  shouldSetCookieToDifferentSessionId,
   shouldSetSessionInStore,
   shouldNotSetSessionInStore,
   shouldSetCookieToValue,
@@ -19,6 +24,181 @@ const { createServer, mountAt } = require('../support/server');
 const min = 60 * 1000;
 
 describe('session options', () => {
+  describe('absoluteTimeout option', () => {
+    it('should reject invalid values', () => {
+      assert.throws(session.bind(null, { absoluteTimeout: 0 }), /absoluteTimeout option/);
+      assert.throws(session.bind(null, { absoluteTimeout: '1000' }), /absoluteTimeout option/);
+    });
+
+    it('should end active session after timeout', async () => {
+      const store = new session.MemoryStore();
+      const server = createServer({ store, absoluteTimeout: 10 * 1000, rolling: true }, (req, res) => {
+        req.session.count = (req.session.count || 0) + 1;
+        res.end(String(req.session.count));
+      });
+
+      mock.timers.enable({ apis: ['Date'], now: Date.now() });
+
+      try {
+        const res = await fetch(server, '/').expect(200, '1');
+        mock.timers.tick(6 * 1000);
+        const res2 = await fetch(server, '/', { headers: { Cookie: cookie(res) } }).expect(200, '2');
+        mock.timers.tick(6 * 1000);
+        const res3 = await fetch(server, '/', { headers: { Cookie: cookie(res2) } }).expect(200, '1');
+
+        assert.notStrictEqual(utils.sid(res3), utils.sid(res));
+        assert.strictEqual(await store.get(utils.sid(res)), undefined);
+      } finally {
+        mock.timers.reset();
+      }
+    });
+
+    it('should keep creation time out of session data', async () => {
+      const store = new session.MemoryStore();
+      const server = createServer({ store, absoluteTimeout: min }, (req, res) => {
+        req.session.user = 'bob';
+        res.end(Object.keys(req.session).join());
+      });
+
+      const res = await fetch(server, '/').expect(200, 'cookie,user');
+      const sess = await storeGet(store, sid(res));
+      assert.ok(Date.now() - sess[session.Session.META].createdAt < 1000);
+    });
+
+    it('should limit cookie expiration', async () => {
+      const store = new session.MemoryStore();
+      const server = createServer({ store, absoluteTimeout: 10 * 1000, cookie: { maxAge: min } }, (req, res) => {
+        req.session.user = 'bob';
+        res.end();
+      });
+
+      mock.timers.enable({ apis: ['Date'], now: Date.now() });
+
+      try {
+        const res = await fetch(server, '/').expect(200);
+        const expires = Date.parse(utils.expires(res)) - Date.now();
+        assert.ok(expires > 9 * 1000 && expires <= 10 * 1000, 'should expire at absolute timeout');
+
+        const sess = await store.get(utils.sid(res));
+        assert.strictEqual(sess.cookie.originalMaxAge, min);
+      } finally {
+        mock.timers.reset();
+      }
+    });
+
+    it('should end client-side session after timeout', async () => {
+      const server = createServer({ cookieKeys: ['tobo'], absoluteTimeout: 50, rolling: true }, (req, res) => {
+        req.session.count = (req.session.count || 0) + 1;
+        res.end(String(req.session.count));
+      });
+
+      const res = await fetch(server, '/').expect(200, '1');
+      await timers.setTimeout(60);
+      await fetch(server, '/', { headers: { Cookie: cookie(res) } }).expect(200, '1');
+    });
+  });
+
+  describe('conflict option', () => {
+    // "/slow" request saves after "/fast" request loaded and saved the same session
+    function createConcurrentServer(options) {
+      let fastSaved;
+
+      return createServer(options, async (req, res) => {
+        req.session[req.url.slice(1)] = true;
+        req.session.last = req.url;
+
+        if (req.url === '/slow') {
+          fastSaved = Promise.withResolvers();
+          await fastSaved.promise;
+        }
+
+        req.session.save(err => {
+          if (req.url === '/fast') {
+            fastSaved.resolve();
+          }
+
+          res.end(err ? err.code : 'saved');
+        });
+      });
+    }
+
+    async function concurrently(server) {
+      await new Promise(resolve => server.listen(0, resolve));
+
+      try {
+        const res = await fetch(server, '/init').expect(200, 'saved');
+        const headers = { Cookie: cookie(res) };
+        const slow = fetch(server, '/slow', { headers }).expect(200);
+        await timers.setTimeout(10);
+        await fetch(server, '/fast', { headers }).expect(200, 'saved');
+        return { id: sid(res), slow: await (await slow).text() };
+      } finally {
+        server.close();
+      }
+    }
+
+    it('should reject invalid values', () => {
+      assert.throws(session.bind(null, { conflict: 'merge' }), /conflict option must be/);
+      assert.throws(session.bind(null, { conflict: 42 }), /conflict option must be/);
+    });
+
+    it('should reject store without compareAndSet', () => {
+      assert.throws(
+        session.bind(null, { conflict: 'fail', store: new SmartStore() }),
+        /conflict option requires a store implementing compareAndSet/
+      );
+    });
+
+    it('should overwrite concurrent changes by default', async () => {
+      const store = new session.MemoryStore();
+      const server = createConcurrentServer({ store });
+      const { id, slow } = await concurrently(server);
+
+      assert.strictEqual(slow, 'saved');
+      const sess = await storeGet(store, id);
+      assert.strictEqual(sess.slow, true);
+      assert.strictEqual(sess.last, '/slow');
+    });
+
+    it('should fail save of stale session when "fail"', async () => {
+      const store = new session.MemoryStore();
+      const server = createConcurrentServer({ store, conflict: 'fail' });
+      const { id, slow } = await concurrently(server);
+
+      assert.strictEqual(slow, 'ESESSIONCONFLICT');
+      const sess = await storeGet(store, id);
+      assert.strictEqual(sess.slow, undefined);
+      assert.strictEqual(sess.fast, true);
+      assert.strictEqual(sess.last, '/fast');
+    });
+
+    it('should save merged session when function', async () => {
+      const store = new session.MemoryStore();
+      const conflict = (stored, current) => ({ ...stored, ...current });
+      const server = createConcurrentServer({ store, conflict });
+      const { id, slow } = await concurrently(server);
+
+      assert.strictEqual(slow, 'saved');
+      const sess = await storeGet(store, id);
+      assert.strictEqual(sess.init, true);
+      assert.strictEqual(sess.slow, true);
+      assert.strictEqual(sess.fast, true);
+      assert.strictEqual(sess.last, '/slow');
+    });
+
+    it('should not expose session version', async () => {
+      const store = new session.MemoryStore();
+      const server = createServer({ store, conflict: 'fail' }, (req, res) => {
+        req.session.hits = (req.session.hits || 0) + 1;
+        res.end(Object.keys(req.session).join(','));
+      });
+
+      const res = await fetch(server, '/').expect(200, 'cookie,hits');
+      await fetch(server, '/', { headers: { Cookie: cookie(res) } }).expect(200, 'cookie,hits');
+      assert.strictEqual((await storeGet(store, sid(res)))[session.Session.VERSION], 2);
+    });
+  });
+
   describe('cookie option', () => {
     describe('when "path" set to "/foo/bar"', () => {
       const ctx = {};
@@ -109,6 +289,340 @@ describe('session options', () => {
     });
   });
 
+  describe('cookieKeys option', () => {
+    it('should reject store option', () => {
+      assert.throws(
+        session.bind(null, { cookieKeys: ['key'], store: new session.MemoryStore() }),
+        /store option cannot be used/
+      );
+    });
+
+    it('should reject invalid keys', () => {
+      assert.throws(session.bind(null, { cookieKeys: [] }), /keys must be/);
+      assert.throws(session.bind(null, { cookieKeys: 'key' }), /keys must be/);
+      assert.throws(session.bind(null, { cookieKeys: [''] }), /keys must be/);
+    });
+
+    it('should keep session data encrypted in cookie', async () => {
+      const server = createServer({ cookieKeys: ['tobo'], secret: false }, (req, res) => {
+        req.session.user = 'bob';
+        req.session.count = (req.session.count || 0) + 1;
+        res.end(`${req.session.user} ${req.session.count}`);
+      });
+
+      const res = await fetch(server, '/')
+        .expectHeader('Set-Cookie', /connect.sid/)
+        .expect(200, 'bob 1');
+      assert.ok(!cookie(res).includes('bob'));
+
+      const res2 = await fetch(server, '/', { headers: { Cookie: cookie(res) } })
+        .expectHeader('Set-Cookie', /connect.sid/)
+        .expect(200, 'bob 2');
+      await fetch(server, '/', { headers: { Cookie: cookie(res2) } }).expect(200, 'bob 3');
+    });
+
+    it('should reload session from cookie', async () => {
+      const server = createServer({ cookieKeys: ['tobo'] }, async (req, res) => {
+        if (req.url === '/new') {
+          req.session.user = 'bob';
+          res.end(await req.session.reload().catch(err => err.message));
+          return;
+        }
+
+        req.session.user = 'tobi';
+        await req.session.reload();
+        res.end(String(req.session.user));
+      });
+
+      const res = await fetch(server, '/new').expect(200, 'failed to load session');
+      await fetch(server, '/', { headers: { Cookie: cookie(res) } }).expect(200, 'bob');
+    });
+
+    it('should keep session ID', async () => {
+      const server = createServer({ cookieKeys: ['tobo'] }, (req, res) => {
+        req.session.hit = true;
+        res.end(req.session.id);
+      });
+
+      const res = await fetch(server, '/').expect(200);
+      const id = await res.text();
+      await fetch(server, '/', { headers: { Cookie: cookie(res) } }).expect(200, id);
+    });
+
+    it('should not set cookie for unmodified session', async () => {
+      const server = createServer({ cookieKeys: ['tobo'] }, (req, res) => {
+        req.session.user = 'bob';
+        res.end();
+      });
+
+      const res = await fetch(server, '/')
+        .expectHeader('Set-Cookie', /connect.sid/)
+        .expect(200);
+      await fetch(server, '/', { headers: { Cookie: cookie(res) } })
+        .expectHeader('Set-Cookie', null)
+        .expect(200);
+    });
+
+    it('should generate new session for tampered cookie', async () => {
+      const server = createServer({ cookieKeys: ['tobo'] }, (req, res) => {
+        req.session.count = (req.session.count || 0) + 1;
+        res.end(String(req.session.count));
+      });
+
+      const res = await fetch(server, '/').expect(200, '1');
+      const val = cookie(res).replace(/=(\w)/, (_, c) => `=${c === 'A' ? 'B' : 'A'}`);
+      await fetch(server, '/', { headers: { Cookie: val } }).expect(200, '1');
+    });
+
+    it('should generate new session for expired cookie', async () => {
+      const server = createServer({ cookieKeys: ['tobo'], cookie: { maxAge: 10 } }, (req, res) => {
+        req.session.count = (req.session.count || 0) + 1;
+        res.end(String(req.session.count));
+      });
+
+      const res = await fetch(server, '/').expect(200, '1');
+      await timers.setTimeout(20);
+      await fetch(server, '/', { headers: { Cookie: cookie(res) } }).expect(200, '1');
+    });
+
+    it('should read cookies encrypted with old keys', async () => {
+      const server1 = createServer({ cookieKeys: ['old'] }, (req, res) => {
+        req.session.user = 'bob';
+        res.end();
+      });
+
+      const server2 = createServer({ cookieKeys: ['new', 'old'] }, (req, res) => {
+        res.end(String(req.session.user));
+      });
+
+      const server3 = createServer({ cookieKeys: ['new'] }, (req, res) => {
+        res.end(String(req.session.user));
+      });
+
+      const res = await fetch(server1, '/').expect(200);
+      await fetch(server2, '/', { headers: { Cookie: cookie(res) } }).expect(200, 'bob');
+      await fetch(server3, '/', { headers: { Cookie: cookie(res) } }).expect(200, 'undefined');
+    });
+
+    it('should pass error of session too large for cookie', async () => {
+      const middleware = session({ cookieKeys: ['tobo'] });
+      const { promise, resolve } = Promise.withResolvers();
+      const server = http.createServer((req, res) => {
+        response(res);
+        middleware(req, res, err => {
+          if (err) {
+            resolve(err);
+            return;
+          }
+
+          req.session.data = 'x'.repeat(5000);
+          res.end();
+        });
+      });
+
+      await fetch(server, '/').expectHeader('Set-Cookie', null).expect(200);
+      const err = await promise;
+      assert.strictEqual(err.code, 'ESESSIONTOOLARGE');
+      assert.strictEqual(err.maxSize, 4096);
+    });
+
+    it('should trim session too large for cookie with oversize function', async () => {
+      const server = createServer(
+        {
+          cookieKeys: ['tobo'],
+          oversize: sess => {
+            sess.data = undefined;
+          }
+        },
+        (req, res) => {
+          req.session.user = 'bob';
+          req.session.data = 'x'.repeat(5000);
+          res.end();
+        }
+      );
+
+      const res = await fetch(server, '/')
+        .expectHeader('Set-Cookie', /connect.sid/)
+        .expect(200);
+      assert.ok(cookie(res).length < 4096);
+    });
+
+    it('should clear cookie when session destroyed', async () => {
+      const server = createServer({ cookieKeys: ['tobo'] }, (req, res) => {
+        if (req.url === '/logout') {
+          req.session.destroy(() => res.end());
+          return;
+        }
+        req.session.user = 'bob';
+        res.end();
+      });
+
+      const res = await fetch(server, '/').expect(200);
+      const res2 = await fetch(server, '/logout', { headers: { Cookie: cookie(res) } }).expect(200);
+      shouldSetCookieToValue('connect.sid', '')(res2);
+      shouldSetCookieWithAttribute('connect.sid', 'Expires')(res2);
+    });
+
+    it('should clear cookie when session unset with unset "destroy"', async () => {
+      const server = createServer({ cookieKeys: ['tobo'], unset: 'destroy' }, (req, res) => {
+        if (req.url === '/logout') {
+          req.session = null;
+        } else {
+          req.session.user = 'bob';
+        }
+        res.end();
+      });
+
+      const res = await fetch(server, '/').expect(200);
+      const res2 = await fetch(server, '/logout', { headers: { Cookie: cookie(res) } }).expect(200);
+      shouldSetCookieToValue('connect.sid', '')(res2);
+    });
+  });
+
+  describe('fallbackStore option', () => {
+    function createFallbackServer() {
+      const store = new session.MemoryStore();
+      const fallbackStore = new session.MemoryStore();
+      const server = createServer({ store, fallbackStore }, (req, res) => {
+        req.session.count = (req.session.count || 0) + 1;
+        res.end(String(req.session.count));
+      });
+      return { fallbackStore, server, store };
+    }
+
+    async function reconciled(store) {
+      for (let i = 0; i < 100 && (await storeLen(store)) > 0; i++) {
+        await timers.setTimeout(1);
+      }
+    }
+
+    it('should reject invalid stores', () => {
+      assert.throws(
+        session.bind(null, { cookieKeys: ['key'], fallbackStore: new session.MemoryStore() }),
+        /fallbackStore option cannot be used/
+      );
+      assert.throws(session.bind(null, { fallbackStore: new SmartStore() }), /fallbackStore option requires/);
+
+      const fallbackStore = new session.MemoryStore();
+      fallbackStore.compareAndSet = undefined;
+      assert.throws(session.bind(null, { conflict: 'fail', fallbackStore }), /conflict option requires/);
+    });
+
+    it('should use fallback store while store is disconnected', async () => {
+      const { fallbackStore, server, store } = createFallbackServer();
+
+      store.emit('disconnect');
+
+      const res = await fetch(server, '/')
+        .expectHeader('Set-Cookie', /connect.sid/)
+        .expect(200, '1');
+      await fetch(server, '/', { headers: { Cookie: cookie(res) } }).expect(200, '2');
+      assert.strictEqual(await storeLen(store), 0);
+      assert.strictEqual((await storeGet(fallbackStore, sid(res))).count, 2);
+    });
+
+    it('should write fallback sessions back when store reconnects', async () => {
+      const { fallbackStore, server, store } = createFallbackServer();
+
+      store.emit('disconnect');
+      const res = await fetch(server, '/').expect(200, '1');
+
+      store.emit('connect');
+      await reconciled(fallbackStore);
+
+      assert.strictEqual((await storeGet(store, sid(res))).count, 1);
+      await fetch(server, '/', { headers: { Cookie: cookie(res) } }).expect(200, '2');
+      assert.strictEqual(await storeLen(fallbackStore), 0);
+    });
+
+    it('should write back sessions saved while reconciling', async () => {
+      const { fallbackStore, server, store } = createFallbackServer();
+
+      store.emit('disconnect');
+      const res1 = await fetch(server, '/').expect(200, '1');
+
+      const set = store.set;
+      store.set = function (sid, sess, callback) {
+        setTimeout(() => set.call(this, sid, sess, callback), 20);
+      };
+      store.emit('connect');
+      const res2 = await fetch(server, '/').expect(200, '1');
+      await reconciled(fallbackStore);
+
+      assert.strictEqual((await storeGet(store, sid(res1))).count, 1);
+      assert.strictEqual((await storeGet(store, sid(res2))).count, 1);
+      await fetch(server, '/', { headers: { Cookie: cookie(res2) } }).expect(200, '2');
+    });
+
+    it('should keep cookie of session missing in fallback store', async () => {
+      const store = new session.MemoryStore();
+      const fallbackStore = new session.MemoryStore();
+      const server = createServer({ store, fallbackStore }, (req, res) => {
+        if (req.url === '/login') req.session.user = 'alice';
+        res.end(String(req.session.user));
+      });
+
+      const res = await fetch(server, '/login').expect(200, 'alice');
+
+      store.emit('disconnect');
+      await fetch(server, '/', { headers: { Cookie: cookie(res) } })
+        .expectHeader('Set-Cookie', null)
+        .expect(200, 'undefined');
+      assert.strictEqual(await storeLen(fallbackStore), 0);
+
+      store.emit('connect');
+      await reconciled(fallbackStore);
+      await fetch(server, '/', { headers: { Cookie: cookie(res) } }).expect(200, 'alice');
+    });
+
+    it('should destroy session missing in fallback store once destroyed', async () => {
+      const store = new session.MemoryStore();
+      const fallbackStore = new session.MemoryStore();
+      const server = createServer({ store, fallbackStore }, (req, res) => {
+        if (req.url === '/login') req.session.user = 'alice';
+        if (req.url === '/logout') {
+          req.session.destroy(() => res.end());
+          return;
+        }
+        res.end(String(req.session.user));
+      });
+
+      const res = await fetch(server, '/login').expect(200, 'alice');
+
+      store.emit('disconnect');
+      await fetch(server, '/logout', { headers: { Cookie: cookie(res) } }).expect(200);
+
+      store.emit('connect');
+      await reconciled(store);
+      await fetch(server, '/', { headers: { Cookie: cookie(res) } }).expect(200, 'undefined');
+    });
+
+    it('should keep sessions that cannot be written back', async () => {
+      const { fallbackStore, server, store } = createFallbackServer();
+      const { middleware } = server.listeners('request')[0];
+      const warnings = [];
+
+      middleware.on('warning', err => warnings.push(err.message));
+      store.emit('disconnect');
+      const res = await fetch(server, '/').expect(200, '1');
+
+      const set = store.set;
+      store.set = (_sid, _sess, callback) => callback(new Error('boom!'));
+      store.emit('connect');
+      await timers.setTimeout(10);
+
+      assert.deepStrictEqual(warnings, ['boom!']);
+      assert.strictEqual((await storeGet(fallbackStore, sid(res))).count, 1);
+
+      store.set = set;
+      store.emit('disconnect');
+      store.emit('connect');
+      await reconciled(fallbackStore);
+
+      assert.strictEqual((await storeGet(store, sid(res))).count, 1);
+    });
+  });
+
   describe('genid option', () => {
     it('should reject non-function values', () => {
       assert.throws(session.bind(null, { genid: 'bogus!' }), /genid.*must/);
@@ -157,6 +671,123 @@ describe('session options', () => {
     });
   });
 
+  describe('idleTimeout option', () => {
+    function createIdleServer(options) {
+      return createServer({ idleTimeout: 100, ...options }, (req, res) => {
+        if (req.url === '/login') req.session.user = 'bob';
+        res.end(String(req.session.user));
+      });
+    }
+
+    it('should reject invalid values', () => {
+      assert.throws(session.bind(null, { idleTimeout: -1 }), /idleTimeout option/);
+    });
+
+    it('should keep session active while used', async () => {
+      const server = createIdleServer({ resave: false });
+
+      const res = await fetch(server, '/login').expect(200, 'bob');
+      for (let i = 0; i < 3; i++) {
+        await timers.setTimeout(60);
+        await fetch(server, '/', { headers: { Cookie: cookie(res) } }).expect(200, 'bob');
+      }
+    });
+
+    it('should not end session idle for less than timeout', async t => {
+      const server = createIdleServer({ idleTimeout: 400, resave: false });
+      t.mock.timers.enable({ apis: ['Date'], now: Date.now() });
+
+      const res = await fetch(server, '/login').expect(200, 'bob');
+      t.mock.timers.tick(100);
+      await fetch(server, '/', { headers: { Cookie: cookie(res) } }).expect(200, 'bob');
+      t.mock.timers.tick(320);
+      await fetch(server, '/', { headers: { Cookie: cookie(res) } }).expect(200, 'bob');
+    });
+
+    it('should end session after idle timeout', async t => {
+      const store = new session.MemoryStore();
+      const server = createIdleServer({ store });
+      t.mock.timers.enable({ apis: ['Date'], now: Date.now() });
+
+      const res = await fetch(server, '/login').expect(200, 'bob');
+      t.mock.timers.tick(200);
+
+      const res2 = await fetch(server, '/', { headers: { Cookie: cookie(res) } }).expect(200, 'undefined');
+      shouldSetCookieToDifferentSessionId(utils.sid(res))(res2);
+      assert.strictEqual(await store.get(utils.sid(res)), undefined);
+    });
+
+    it('should end session idle for timeout since last request', async t => {
+      const server = createIdleServer({ idleTimeout: 400, resave: false });
+      t.mock.timers.enable({ apis: ['Date'], now: Date.now() });
+
+      const res = await fetch(server, '/login').expect(200, 'bob');
+      t.mock.timers.tick(50);
+      await fetch(server, '/', { headers: { Cookie: cookie(res) } }).expect(200, 'bob');
+      t.mock.timers.tick(400);
+      await fetch(server, '/', { headers: { Cookie: cookie(res) } }).expect(200, 'undefined');
+    });
+
+    it('should not trust cookie expiration', async t => {
+      const server = createIdleServer({ cookie: { maxAge: min } });
+      t.mock.timers.enable({ apis: ['Date'], now: Date.now() });
+
+      const res = await fetch(server, '/login').expect(200, 'bob');
+      t.mock.timers.tick(200);
+      await fetch(server, '/', { headers: { Cookie: cookie(res) } }).expect(200, 'undefined');
+    });
+
+    it('should record last access in store without touch', async () => {
+      const store = new SmartStore();
+      const server = createIdleServer({ store, resave: false });
+
+      const res = await fetch(server, '/login').expect(200, 'bob');
+      for (let i = 0; i < 3; i++) {
+        await timers.setTimeout(60);
+        await fetch(server, '/', { headers: { Cookie: cookie(res) } }).expect(200, 'bob');
+      }
+    });
+
+    it('should record last access in store with touch only extending expiration', async () => {
+      const store = new session.MemoryStore();
+      store.touch = (_sid, _sess, callback) => setImmediate(callback);
+      const server = createIdleServer({ store, resave: false });
+
+      const res = await fetch(server, '/login').expect(200, 'bob');
+      for (let i = 0; i < 3; i++) {
+        await timers.setTimeout(60);
+        await fetch(server, '/', { headers: { Cookie: cookie(res) } }).expect(200, 'bob');
+      }
+
+      const sess = await storeGet(store, sid(res));
+      assert.ok(Date.now() - sess[session.Session.META].accessedAt < 50);
+      assert.strictEqual(sess.cookie.accessedAt, undefined);
+    });
+
+    it('should keep last access time out of session data', async () => {
+      const server = createServer({ idleTimeout: min }, (req, res) => {
+        req.session.user = 'bob';
+        res.end(Object.keys(req.session).join());
+      });
+
+      await fetch(server, '/').expect(200, 'cookie,user');
+    });
+
+    it('should keep client-side session active while used', async t => {
+      const server = createIdleServer({ cookieKeys: ['tobo'] });
+      t.mock.timers.enable({ apis: ['Date'], now: Date.now() });
+
+      let res = await fetch(server, '/login').expect(200, 'bob');
+      for (let i = 0; i < 3; i++) {
+        t.mock.timers.tick(60);
+        res = await fetch(server, '/', { headers: { Cookie: cookie(res) } }).expect(200, 'bob');
+      }
+
+      t.mock.timers.tick(200);
+      await fetch(server, '/', { headers: { Cookie: cookie(res) } }).expect(200, 'undefined');
+    });
+  });
+
   describe('key option', () => {
     it('should default to "connect.sid"', async () => {
       await fetch(createServer(), '/')
@@ -171,19 +802,276 @@ describe('session options', () => {
     });
   });
 
-  describe('name option', () => {
-    it('should default to "connect.sid"', async () => {
-      await fetch(createServer(), '/')
-        .expectHeader('Set-Cookie', /connect.sid/)
-        .expectStatus(200);
-    });
+  describe('maxSize option', () => {
+    function createSizedServer(options) {
+      return createServer({ maxSize: 200, ...options }, (req, res) => {
+        req.session.data = 'x'.repeat(Number(req.url.slice(1)));
+        req.session.save(err => res.end(err ? err.code : String(req.sessionSize)));
+      });
+    }
 
-    it('should set the cookie name', async () => {
-      await fetch(createServer({ name: 'session_id' }), '/')
-        .expectHeader('Set-Cookie', /session_id/)
-        .expectStatus(200);
+    it('should reject invalid values', () => {
+      assert.throws(session.bind(null, { maxSize: 0 }), /maxSize option must be/);
+      assert.throws(session.bind(null, { maxSize: '1kB' }), /maxSize option must be/);
+      assert.throws(session.bind(null, { maxSize: 100, oversize: 'trim' }), /oversize option must be/);
     });
-  });
+
+    it('should expose session size on request', async () => {
+      const server = createServer(null, (req, res) => {
+        req.session.user = 'tj';
+        const size = req.sessionSize;
+        req.session.user = 'tobi';
+        res.end(String(req.sessionSize - size));
+      });
+
+      await fetch(server, '/').expect(200, '2');
+    });
+
+    it('should save session within limit', async () => {
+      const store = new session.MemoryStore();
+      const server = createSizedServer({ store });
+
+      const res = await fetch(server, '/10').expect(200);
+      assert.ok(Number(await res.text()) <= 200);
+      assert.strictEqual(await storeLen(store), 1);
+    });
+
+    it('should fail save of oversized session by default', async () => {
+      const store = new session.MemoryStore();
+      const server = createSizedServer({ store });
+
+      await fetch(server, '/200').expect(200, 'ESESSIONTOOLARGE');
+      assert.strictEqual(await storeLen(store), 0);
+    });
+
+    it('should pass error to next after response', async () => {
+      const store = new session.MemoryStore();
+      const server = createServer({ store, maxSize: 100 }, (req, res) => {
+        req.session.data = 'x'.repeat(200);
+        res.end('done');
+      });
+      const { promise, resolve } = Promise.withResolvers();
+      server.on('error', resolve);
+
+      await fetch(server, '/').expect(200, 'done');
+      assert.strictEqual((await promise).code, 'ESESSIONTOOLARGE');
+      assert.strictEqual(await storeLen(store), 0);
+    });
+
+    it('should drop oversized session with warning when "drop"', async () => {
+      const store = new session.MemoryStore();
+      const warnings = [];
+      const server = createServer({ store, maxSize: 200, oversize: 'drop' }, (req, res) => {
+        req.session.data = 'x'.repeat(200);
+        req.session.save(err => res.end(err ? err.code : 'saved'));
+      });
+      const { middleware } = server.listeners('request')[0];
+      middleware.on('warning', err => warnings.push(err));
+
+      await fetch(server, '/').expect(200, 'saved');
+      assert.strictEqual(await storeLen(store), 0);
+      assert.strictEqual(warnings.length, 1);
+      assert.strictEqual(warnings[0].code, 'ESESSIONTOOLARGE');
+      assert.ok(warnings[0].size > 200);
+    });
+
+    it('should save session trimmed by function', async () => {
+      const store = new session.MemoryStore();
+      const oversize = (sess, size) => {
+        assert.ok(size > 200);
+        sess.data = sess.data.slice(0, 10);
+      };
+      const server = createSizedServer({ store, oversize });
+
+      await fetch(server, '/300').expect(200);
+      assert.strictEqual(await storeLen(store), 1);
+    });
+
+    it('should fail save of session not trimmed enough', async () => {
+      const store = new session.MemoryStore();
+      const server = createSizedServer({ store, oversize: () => {} });
+
+      await fetch(server, '/300').expect(200, 'ESESSIONTOOLARGE');
+      assert.strictEqual(await storeLen(store), 0);
+    });
+  });
+
+  describe('name option', () => {
+    it('should default to "connect.sid"', async () => {
+      await fetch(createServer(), '/')
+        .expectHeader('Set-Cookie', /connect.sid/)
+        .expectStatus(200);
+    });
+
+    it('should set the cookie name', async () => {
+      await fetch(createServer({ name: 'session_id' }), '/')
+        .expectHeader('Set-Cookie', /session_id/)
+        .expectStatus(200);
+    });
+  });
+
+  describe('onStoreUnavailable option', () => {
+    function createUnavailableServer(options) {
+      const store = new session.MemoryStore();
+      const server = createServer({ store, ...options }, (req, res) => {
+        res.end(typeof req.session);
+      });
+      return { server, store };
+    }
+
+    it('should reject invalid values', () => {
+      assert.throws(session.bind(null, { onStoreUnavailable: 'wait' }), /onStoreUnavailable option must be/);
+      assert.throws(
+        session.bind(null, { onStoreUnavailable: 'fail', fallbackStore: new session.MemoryStore() }),
+        /onStoreUnavailable option cannot be used/
+      );
+      assert.throws(session.bind(null, { queueTimeout: 0 }), /queueTimeout option must be/);
+    });
+
+    it('should pass request without session by default', async () => {
+      const { server, store } = createUnavailableServer();
+
+      store.emit('disconnect');
+
+      await fetch(server, '/').expect('Set-Cookie', null).expect(200, 'undefined');
+    });
+
+    it('should fail request when "fail"', async () => {
+      const { server, store } = createUnavailableServer({ onStoreUnavailable: 'fail' });
+
+      store.emit('disconnect');
+
+      await fetch(server, '/')
+        .expect('Set-Cookie', null)
+        .expect(503, /session store is unavailable/);
+      store.emit('connect');
+      await fetch(server, '/').expect(200, 'object');
+    });
+
+    it('should queue request until store connects when "queue"', async () => {
+      const { server, store } = createUnavailableServer({ onStoreUnavailable: 'queue' });
+
+      store.emit('disconnect');
+      setTimeout(() => store.emit('connect'), 10);
+
+      await fetch(server, '/')
+        .expectHeader('Set-Cookie', /connect.sid/)
+        .expect(200, 'object');
+    });
+
+    it('should fail queued request after queueTimeout', async () => {
+      const { server, store } = createUnavailableServer({ onStoreUnavailable: 'queue', queueTimeout: 10 });
+
+      store.emit('disconnect');
+
+      await fetch(server, '/').expect(503, /session store is unavailable/);
+    });
+  });
+
+  describe('retry option', () => {
+    // make store `method` fail with `code` for the first `failures` calls
+    function flaky(store, method, failures, code = 'ECONNRESET') {
+      const fn = store[method];
+      const calls = [];
+
+      store[method] = function (...args) {
+        calls.push(method);
+
+        if (calls.length <= failures) {
+          const err = new Error(`${method} failed`);
+          err.code = code;
+          setImmediate(args.at(-1), err);
+          return;
+        }
+
+        return fn.apply(this, args);
+      };
+
+      return calls;
+    }
+
+    function createRetryServer(store, retry) {
+      return createServer({ store, retry: { delay: 1, ...retry } }, (req, res) => {
+        req.session.count = (req.session.count || 0) + 1;
+        req.session.save(err => res.end(err ? err.code : String(req.session.count)));
+      });
+    }
+
+    it('should reject invalid values', () => {
+      assert.throws(session.bind(null, { retry: 3 }), /retry option must be/);
+      assert.throws(session.bind(null, { retry: { attempts: 0 } }), /retry.attempts option must be/);
+      assert.throws(session.bind(null, { retry: { delay: -1 } }), /retry.delay option must be/);
+      assert.throws(session.bind(null, { retry: { maxDelay: '1s' } }), /retry.maxDelay option must be/);
+      assert.throws(session.bind(null, { retry: { transient: true } }), /retry.transient option must be/);
+    });
+
+    it('should retry get on transient error', async () => {
+      const store = new session.MemoryStore();
+      const server = createRetryServer(store);
+
+      const res = await fetch(server, '/').expect(200, '1');
+      const calls = flaky(store, 'get', 2);
+
+      await fetch(server, '/', { headers: { Cookie: cookie(res) } }).expect(200, '2');
+      assert.strictEqual(calls.length, 3);
+    });
+
+    it('should retry set on transient error', async () => {
+      const store = new session.MemoryStore();
+      const server = createRetryServer(store);
+      const calls = flaky(store, 'set', 1);
+
+      const res = await fetch(server, '/').expect(200, '1');
+      assert.strictEqual(calls.length, 2);
+      assert.strictEqual((await storeGet(store, sid(res))).count, 1);
+    });
+
+    it('should fail after max attempts', async () => {
+      const store = new session.MemoryStore();
+      const server = createRetryServer(store, { attempts: 2 });
+      const calls = flaky(store, 'set', 5);
+
+      await fetch(server, '/').expect(200, 'ECONNRESET');
+      assert.strictEqual(calls.length, 2);
+    });
+
+    it('should not retry other errors', async () => {
+      const store = new session.MemoryStore();
+      const server = createRetryServer(store);
+      const calls = flaky(store, 'set', 1, 'EINVAL');
+
+      await fetch(server, '/').expect(200, 'EINVAL');
+      assert.strictEqual(calls.length, 1);
+    });
+
+    it('should retry errors accepted by transient predicate', async () => {
+      const store = new session.MemoryStore();
+      const server = createRetryServer(store, { transient: err => err.code === 'EBUSY' });
+      const calls = flaky(store, 'set', 1, 'EBUSY');
+
+      await fetch(server, '/').expect(200, '1');
+      assert.strictEqual(calls.length, 2);
+    });
+
+    it('should retry store operations of session methods', async () => {
+      const store = new session.MemoryStore();
+      const server = createServer({ store, retry: { delay: 1 } }, (req, res) => {
+        if (req.url === '/destroy') {
+          req.session.destroy(err => res.end(err ? err.code : 'destroyed'));
+          return;
+        }
+        req.session.user = 'tj';
+        res.end();
+      });
+
+      const res = await fetch(server, '/').expect(200);
+      const calls = flaky(store, 'destroy', 1);
+
+      await fetch(server, '/destroy', { headers: { Cookie: cookie(res) } }).expect(200, 'destroyed');
+      assert.strictEqual(calls.length, 2);
+      assert.strictEqual(await storeLen(store), 0);
+    });
+  });
 
   describe('rolling option', () => {
     it('should default to false', async () => {
@@ -472,6 +1360,282 @@ describe('session options', () => {
     });
   });
 
+  describe('rotate option', () => {
+    function createRotatingServer(rotate, store = new session.MemoryStore()) {
+      return createServer({ store, rotate }, (req, res) => {
+        req.session.count = (req.session.count || 0) + 1;
+        res.end(String(req.session.count));
+      });
+    }
+
+    it('should reject invalid values', () => {
+      assert.throws(session.bind(null, { rotate: 1000 }), /rotate.interval option/);
+      assert.throws(session.bind(null, { rotate: { interval: 0 } }), /rotate.interval option/);
+      assert.throws(session.bind(null, { rotate: { interval: 1000, grace: -1 } }), /rotate.grace option/);
+    });
+
+    it('should not rotate session ID before interval', async () => {
+      const server = createRotatingServer({ interval: min });
+
+      const res = await fetch(server, '/').expect(200, '1');
+      const res2 = await fetch(server, '/', { headers: { Cookie: cookie(res) } }).expect(200, '2');
+      assert.strictEqual(utils.sid(res2), utils.sid(res));
+    });
+
+    it('should rotate session ID after interval', async () => {
+      const store = new session.MemoryStore();
+      const server = createRotatingServer({ interval: 20 }, store);
+
+      const res = await fetch(server, '/').expect(200, '1');
+      await timers.setTimeout(30);
+
+      const res2 = await fetch(server, '/', { headers: { Cookie: cookie(res) } }).expect(200, '2');
+      shouldSetCookieToDifferentSessionId(utils.sid(res))(res2);
+
+      await fetch(server, '/', { headers: { Cookie: cookie(res2) } }).expect(200, '3');
+    });
+
+    it('should rotate session ID of versioned session', async () => {
+      const store = new session.MemoryStore();
+      const server = createServer({ store, rotate: { interval: 20 }, conflict: 'fail' }, (req, res) => {
+        req.session.count = (req.session.count || 0) + 1;
+        res.end(String(req.session.count));
+      });
+
+      const res = await fetch(server, '/').expect(200, '1');
+      await timers.setTimeout(30);
+
+      const res2 = await fetch(server, '/', { headers: { Cookie: cookie(res) } }).expect(200, '2');
+      shouldSetCookieToDifferentSessionId(utils.sid(res))(res2);
+
+      await fetch(server, '/', { headers: { Cookie: cookie(res2) } }).expect(200, '3');
+      assert.strictEqual((await storeGet(store, utils.sid(res2))).count, 3);
+    });
+
+    it('should rotate session ID of unmodified session', async () => {
+      const server = createServer({ rotate: { interval: 20 }, saveUninitialized: false }, (req, res) => {
+        if (req.url === '/login') req.session.user = 'bob';
+        res.end(String(req.session.user));
+      });
+
+      const res = await fetch(server, '/login').expect(200, 'bob');
+      await timers.setTimeout(30);
+
+      const res2 = await fetch(server, '/', { headers: { Cookie: cookie(res) } }).expect(200, 'bob');
+      shouldSetCookieToDifferentSessionId(utils.sid(res))(res2);
+
+      await fetch(server, '/', { headers: { Cookie: cookie(res2) } }).expect(200, 'bob');
+    });
+
+    it('should keep issue time out of session data', async () => {
+      const store = new session.MemoryStore();
+      const server = createServer({ store, rotate: { interval: min } }, (req, res) => {
+        req.session.user = 'bob';
+        res.end(Object.keys(req.session).join());
+      });
+
+      const res = await fetch(server, '/').expect(200, 'cookie,user');
+      const sess = await storeGet(store, sid(res));
+      assert.ok(Date.now() - sess[session.Session.META].issuedAt < 1000);
+    });
+
+    it('should keep old session ID valid during grace period', async () => {
+      const server = createRotatingServer({ interval: 1000, grace: min });
+
+      mock.timers.enable({ apis: ['Date'], now: Date.now() });
+
+      try {
+        const res = await fetch(server, '/').expect(200, '1');
+        mock.timers.tick(1000);
+
+        const res2 = await fetch(server, '/', { headers: { Cookie: cookie(res) } }).expect(200, '2');
+        const res3 = await fetch(server, '/', { headers: { Cookie: cookie(res) } }).expect(200, '3');
+
+        assert.strictEqual(utils.sid(res3), utils.sid(res2));
+        await fetch(server, '/', { headers: { Cookie: cookie(res2) } }).expect(200, '4');
+      } finally {
+        mock.timers.reset();
+      }
+    });
+
+    it('should not accept old session ID after grace period', async () => {
+      const server = createRotatingServer({ interval: 1000, grace: 500 });
+
+      mock.timers.enable({ apis: ['Date'], now: Date.now() });
+
+      try {
+        const res = await fetch(server, '/').expect(200, '1');
+        mock.timers.tick(1000);
+
+        await fetch(server, '/', { headers: { Cookie: cookie(res) } }).expect(200, '2');
+        mock.timers.tick(500);
+
+        await fetch(server, '/', { headers: { Cookie: cookie(res) } }).expect(200, '1');
+      } finally {
+        mock.timers.reset();
+      }
+    });
+
+    describe('with request overlapping rotation', () => {
+      // "/slow" request loads the session, and finishes after "/fast" request rotated its ID
+      async function overlapping(options) {
+        const store = options.store ?? new session.MemoryStore();
+        const slowLoaded = Promise.withResolvers();
+        const rotated = Promise.withResolvers();
+        const server = createServer({ store, rotate: { interval: 1000, grace: min }, ...options }, async (req, res) => {
+          if (req.url === '/slow') {
+            slowLoaded.resolve();
+            await rotated.promise;
+          }
+
+          req.session[req.url.slice(1)] = true;
+          res.end(req.sessionID);
+        });
+
+        mock.timers.enable({ apis: ['Date'], now: Date.now() });
+
+        try {
+          const res = await fetch(server, '/init').expect(200);
+          const headers = { Cookie: cookie(res) };
+          const slow = fetch(server, '/slow', { headers });
+          await slowLoaded.promise;
+
+          mock.timers.tick(1000);
+          const fast = await fetch(server, '/fast', { headers }).expect(200);
+          rotated.resolve();
+          await (await slow).text();
+
+          return { store, server, headers, oldId: sid(res), newId: await fast.text() };
+        } finally {
+          mock.timers.reset();
+        }
+      }
+
+      it('should save session under the new session ID', async () => {
+        const { store, server, headers, oldId, newId } = await overlapping({});
+
+        assert.notStrictEqual(newId, oldId);
+        assert.strictEqual((await store.get(oldId)).cookie.rotatedTo, newId);
+
+        const sess = await store.get(newId);
+        assert.deepStrictEqual([sess.init, sess.slow, sess.fast], [true, true, true]);
+
+        await fetch(server, '/', { headers }).expect(200, newId);
+      });
+
+      it('should keep pointer of unmodified session', async () => {
+        const store = new session.MemoryStore();
+        const { server, headers, oldId, newId } = await overlapping({ store, resave: false });
+
+        assert.strictEqual((await store.get(oldId)).cookie.rotatedTo, newId);
+        await fetch(server, '/', { headers }).expect(200, newId);
+      });
+    });
+
+    it('should pass session save error', async () => {
+      const store = new session.MemoryStore();
+      const server = createRotatingServer({ interval: 20 }, store);
+
+      const res = await fetch(server, '/').expect(200, '1');
+      await timers.setTimeout(30);
+
+      store.set = function set(_sid, _sess, callback) {
+        callback(new Error('boom!'));
+      };
+
+      await fetch(server, '/', { headers: { Cookie: cookie(res) } }).expect(500, 'boom!');
+    });
+  });
+
+  describe('serializer option', () => {
+    it('should reject invalid values', () => {
+      assert.throws(session.bind(null, { serializer: {} }), /serializer option must have/);
+      assert.throws(session.bind(null, { serializer: { stringify: JSON.stringify } }), /serializer option must have/);
+    });
+
+    it('should be passed to store', () => {
+      const store = new session.MemoryStore();
+      session({ store, serializer: session.taggedJSON });
+      assert.strictEqual(store.serializer, session.taggedJSON);
+    });
+
+    it('should keep JSON serializer by default', () => {
+      const store = new session.MemoryStore();
+      session({ store });
+      assert.strictEqual(store.serializer, JSON);
+    });
+
+    it('should restore session data types', async () => {
+      const store = new session.MemoryStore();
+      const server = createServer({ store, serializer: session.taggedJSON }, (req, res) => {
+        if (req.url === '/set') {
+          req.session.date = new Date(1000);
+          req.session.map = new Map([['foo', 1]]);
+          req.session.set = new Set(['bar']);
+          req.session.big = 10n ** 20n;
+          req.session.buf = Buffer.from('baz');
+          res.end();
+          return;
+        }
+
+        const { date, map, set, big, buf } = req.session;
+        res.end([date.getTime(), map.get('foo'), set.has('bar'), big.toString(), buf.toString()].join());
+      });
+
+      const res = await fetch(server, '/set').expect(200);
+      await fetch(server, '/', { headers: { Cookie: cookie(res) } }).expect(
+        200,
+        '1000,1,true,100000000000000000000,baz'
+      );
+    });
+
+    it('should be used for client-side sessions', async () => {
+      const server = createServer({ cookieKeys: ['tobo'], serializer: session.taggedJSON }, (req, res) => {
+        req.session.date ??= new Date(1000);
+        res.end(String(req.session.date.getTime()));
+      });
+
+      const res = await fetch(server, '/').expect(200, '1000');
+      await fetch(server, '/', { headers: { Cookie: cookie(res) } }).expect(200, '1000');
+    });
+
+    it('should be used to detect modifications', async () => {
+      const store = new session.MemoryStore();
+      const server = createServer(
+        { store, resave: false, serializer: session.taggedJSON, tracking: 'hash' },
+        (req, res) => {
+          req.session.map ??= new Map();
+          req.session.map.set(req.url, true);
+          res.end(String(req.session.map.size));
+        }
+      );
+
+      const res = await fetch(server, '/a').expect(200, '1');
+      await fetch(server, '/b', { headers: { Cookie: cookie(res) } }).expect(200, '2');
+      await fetch(server, '/c', { headers: { Cookie: cookie(res) } }).expect(200, '3');
+    });
+
+    it('should detect in-place modifications with proxy tracking', async () => {
+      const store = new session.MemoryStore();
+      const server = createServer(
+        { store, resave: false, serializer: session.taggedJSON, tracking: 'proxy' },
+        (req, res) => {
+          req.session.cart ??= new Map();
+          req.session.seen ??= new Set();
+          req.session.since ??= new Date(0);
+          req.session.cart.set(req.url, 1);
+          req.session.seen.add(req.url);
+          req.session.since.setTime(req.session.cart.size);
+          res.end(`${req.session.cart.size} ${req.session.seen.size} ${req.session.since.getTime()}`);
+        }
+      );
+
+      const res = await fetch(server, '/a').expect(200, '1 1 1');
+      await fetch(server, '/b', { headers: { Cookie: cookie(res) } }).expect(200, '2 2 2');
+      await fetch(server, '/c', { headers: { Cookie: cookie(res) } }).expect(200, '3 3 3');
+    });
+  });
+
   describe('secret option', () => {
     it('should sign and unsign with a string', async () => {
       const server = createServer({ secret: 'awesome cat' }, (req, res) => {
@@ -541,6 +1705,393 @@ describe('session options', () => {
           }
         }).expect(200, 'bob');
       });
+
+      it('should re-sign cookies signed with a retired secret', async () => {
+        const store = new session.MemoryStore();
+
+        const server1 = createServer({ secret: 'nyan cat', store }, (req, res) => {
+          req.session.user = 'bob';
+          res.end(req.session.user);
+        });
+
+        const server2 = createServer({ secret: ['keyboard cat', 'nyan cat'], store, resave: false }, (req, res) => {
+          res.end(String(req.session.user));
+        });
+
+        const server3 = createServer({ secret: 'keyboard cat', store }, (req, res) => {
+          res.end(String(req.session.user));
+        });
+
+        const reasons = [];
+        server2.listeners('request')[0].middleware.on('cookie', ({ reason }) => reasons.push(reason));
+
+        const res1 = await fetch(server1, '/').expect(200, 'bob');
+        const res2 = await fetch(server2, '/', { headers: { Cookie: cookie(res1) } }).expect(200, 'bob');
+
+        assert.strictEqual(sid(res2), sid(res1));
+        assert.notStrictEqual(cookie(res2), cookie(res1));
+        assert.deepStrictEqual(reasons, ['resign']);
+        await fetch(server2, '/', { headers: { Cookie: cookie(res2) } })
+          .expectHeader('Set-Cookie', null)
+          .expect(200, 'bob');
+        await fetch(server3, '/', { headers: { Cookie: cookie(res2) } }).expect(200, 'bob');
+        assert.deepStrictEqual(reasons, ['resign']);
+      });
+    });
+  });
+
+  describe('secrets option', () => {
+    // plain node:http server without cookie-parser and res.cookie()
+    function createPlainServer(options) {
+      const middleware = session({ resave: false, saveUninitialized: false, ...options });
+      return http.createServer((req, res) => {
+        req.secure = req.headers['x-forwarded-proto'] === 'https';
+        middleware(req, res, err => {
+          if (err) {
+            res.statusCode = err.status || 500;
+            res.end(err.message);
+            return;
+          }
+
+          req.session.count = (req.session.count || 0) + 1;
+          res.end(String(req.session.count));
+        });
+      });
+    }
+
+    it('should reject invalid secrets', () => {
+      assert.throws(session.bind(null, { secrets: [] }), /secrets must be/);
+      assert.throws(session.bind(null, { secrets: 'cat' }), /secrets must be/);
+      assert.throws(session.bind(null, { cookieKeys: ['key'], secrets: ['cat'] }), /secrets option cannot be used/);
+    });
+
+    it('should sign and verify session cookie without cookie-parser', async () => {
+      const server = createPlainServer({ secrets: ['keyboard cat'], cookie: { maxAge: min } });
+
+      const res = await fetch(server, '/')
+        .expectHeader('Set-Cookie', /^connect\.sid=s%3A[^;]+; Path=\/; Expires=[^;]+; HttpOnly$/)
+        .expect(200, '1');
+      await fetch(server, '/', { headers: { Cookie: `foo=bar; ${cookie(res).split(';')[0]}` } }).expect(200, '2');
+    });
+
+    it('should serialize cookie attributes', async () => {
+      const cookieOptions = {
+        domain: 'example.com',
+        partitioned: true,
+        priority: 'high',
+        sameSite: 'lax',
+        secure: true
+      };
+      const server = createPlainServer({ secrets: ['keyboard cat'], cookie: cookieOptions });
+
+      const res = await fetch(server, '/', { headers: { 'X-Forwarded-Proto': 'https' } }).expect(200);
+      const header = cookie(res);
+      for (const attr of [
+        'Domain=example.com',
+        'Path=/',
+        'HttpOnly',
+        'Secure',
+        'Partitioned',
+        'Priority=High',
+        'SameSite=Lax'
+      ]) {
+        assert.ok(header.split('; ').includes(attr), `${header} has ${attr}`);
+      }
+    });
+
+    it('should pass error of invalid cookie attributes', async () => {
+      const middleware = session({ secrets: ['keyboard cat'], cookie: { sameSite: 'loose' }, resave: false });
+      const { promise, resolve } = Promise.withResolvers();
+      const server = http.createServer((req, res) => {
+        middleware(req, res, err => (err ? resolve(err) : res.end()));
+      });
+
+      await fetch(server, '/').expectHeader('Set-Cookie', null).expect(200);
+      assert.strictEqual((await promise).message, 'option sameSite is invalid');
+    });
+
+    it('should verify cookies with all secrets', async () => {
+      const store = new session.MemoryStore();
+      const server1 = createServer({ secret: 'nyan cat', store }, (req, res) => {
+        req.session.user = 'bob';
+        res.end();
+      });
+      const server2 = createPlainServer({ secrets: ['keyboard cat', 'nyan cat'], store });
+
+      const res = await fetch(server1, '/').expect(200);
+      await fetch(server2, '/', { headers: { Cookie: cookie(res) } }).expect(200, '1');
+      assert.strictEqual((await storeGet(store, sid(res))).user, 'bob');
+    });
+
+    it('should reject unsigned and tampered cookies', async () => {
+      const server = createPlainServer({ secrets: ['keyboard cat'] });
+
+      const res = await fetch(server, '/').expect(200, '1');
+      const value = cookie(res).split(';')[0];
+
+      await fetch(server, '/', { headers: { Cookie: `connect.sid=${sid(res)}` } }).expect(200, '1');
+      await fetch(server, '/', { headers: { Cookie: value.replace(/...$/, 'AAA') } }).expect(200, '1');
+      await fetch(server, '/', { headers: { Cookie: value } }).expect(200, '2');
+    });
+
+    it('should re-sign cookies signed with a retired secret', async () => {
+      const store = new session.MemoryStore();
+      const server1 = createPlainServer({ secrets: ['nyan cat'], store });
+      const server2 = createPlainServer({ secrets: ['keyboard cat', 'nyan cat'], store });
+
+      const res1 = await fetch(server1, '/').expect(200, '1');
+      const res2 = await fetch(server2, '/', { headers: { Cookie: cookie(res1) } }).expect(200, '2');
+
+      assert.strictEqual(sid(res2), sid(res1));
+      assert.notStrictEqual(cookie(res2), cookie(res1));
+      await fetch(server2, '/', { headers: { Cookie: cookie(res2).split(';')[0] } })
+        .expectHeader('Set-Cookie', null)
+        .expect(200, '3');
+    });
+  });
+
+  describe('storeReady option', () => {
+    it('should reject invalid values', () => {
+      assert.throws(session.bind(null, { storeReady: 'no' }), /storeReady option must be/);
+    });
+
+    it('should wait for store to connect when false', async () => {
+      const store = new session.MemoryStore();
+      const server = createServer({ store, storeReady: false, onStoreUnavailable: 'fail' }, (req, res) => {
+        res.end(typeof req.session);
+      });
+
+      await fetch(server, '/').expect(503);
+      store.emit('connect');
+      await fetch(server, '/').expect(200, 'object');
+    });
+  });
+
+  describe('storeTimeout option', () => {
+    function hang() {}
+
+    it('should reject invalid values', () => {
+      assert.throws(session.bind(null, { storeTimeout: 0 }), /storeTimeout option must be/);
+      assert.throws(session.bind(null, { storeTimeout: { get: -1 } }), /storeTimeout.get option must be/);
+      assert.throws(session.bind(null, { storeTimeout: { all: 10 } }), /unknown operation "all"/);
+    });
+
+    it('should fail request when get times out', async () => {
+      const store = new session.MemoryStore();
+      const server = createServer({ store, storeTimeout: { get: 10 } });
+
+      const res = await fetch(server, '/').expect(200);
+      store.get = hang;
+
+      await fetch(server, '/', { headers: { Cookie: cookie(res) } }).expect(
+        503,
+        'session store get timed out after 10ms'
+      );
+    });
+
+    it('should finish response when set times out', async () => {
+      const store = new session.MemoryStore();
+      const server = createServer({ store, storeTimeout: 10 }, (req, res) => {
+        req.session.user = 'tj';
+        res.end('done');
+      });
+      const { promise, resolve } = Promise.withResolvers();
+
+      store.set = hang;
+      server.on('error', resolve);
+
+      await fetch(server, '/').expect(200, 'done');
+      const err = await promise;
+      assert.strictEqual(err.code, 'ESESSIONTIMEOUT');
+      assert.strictEqual(err.operation, 'set');
+    });
+
+    it('should finish response when touch times out', async () => {
+      const store = new session.MemoryStore();
+      const server = createServer({ store, resave: false, storeTimeout: { touch: 10 } }, (_req, res) => {
+        res.end('done');
+      });
+      const { promise, resolve } = Promise.withResolvers();
+
+      const res = await fetch(server, '/').expect(200);
+      store.touch = hang;
+      server.on('error', resolve);
+
+      await fetch(server, '/', { headers: { Cookie: cookie(res) } }).expect(200, 'done');
+      assert.strictEqual((await promise).operation, 'touch');
+    });
+
+    it('should finish response when destroy times out', async () => {
+      const store = new session.MemoryStore();
+      const server = createServer({ store, storeTimeout: { destroy: 10 }, unset: 'destroy' }, (req, res) => {
+        req.session = null;
+        res.end('done');
+      });
+      const { promise, resolve } = Promise.withResolvers();
+
+      store.destroy = hang;
+      server.on('error', resolve);
+
+      await fetch(server, '/').expect(200, 'done');
+      assert.strictEqual((await promise).operation, 'destroy');
+    });
+
+    it('should time out session destroy', async () => {
+      const store = new session.MemoryStore();
+      const server = createServer({ store, storeTimeout: { destroy: 10 } }, (req, res) => {
+        store.destroy = hang;
+        req.session.destroy(err => res.end(err ? err.message : 'destroyed'));
+      });
+
+      await fetch(server, '/').expect(200, 'session store destroy timed out after 10ms');
+    });
+
+    it('should time out session regenerate', async () => {
+      const store = new session.MemoryStore();
+      const server = createServer({ store, storeTimeout: { destroy: 10 } }, (req, res) => {
+        store.destroy = hang;
+        req.session.regenerate(err => res.end(err ? err.message : 'regenerated'));
+      });
+
+      await fetch(server, '/').expect(200, 'session store destroy timed out after 10ms');
+    });
+
+    it('should ignore store calling back after timeout', async () => {
+      const store = new session.MemoryStore();
+      const server = createServer({ store, storeTimeout: { set: 10 } }, (req, res) => {
+        req.session.user = 'tj';
+        req.session.save(err => res.end(err ? err.code : 'saved'));
+      });
+      const set = store.set;
+
+      store.set = function (sid, sess, callback) {
+        setTimeout(() => set.call(this, sid, sess, callback), 20);
+      };
+
+      await fetch(server, '/').expect(200, 'ESESSIONTIMEOUT');
+    });
+  });
+
+  describe('tracking option', () => {
+    it('should reject invalid values', () => {
+      assert.throws(session.bind(null, { tracking: 'deep' }), /tracking option must be/);
+    });
+
+    it('should keep values assigned to session when "flags"', async () => {
+      const server = createServer({ tracking: 'flags' }, (req, res) => {
+        const cart = { items: ['apple'] };
+        req.session.cart = cart;
+        res.end(`${req.session.cart === cart} ${structuredClone(req.session.cart).items}`);
+      });
+
+      await fetch(server, '/').expect(200, 'true apple');
+    });
+
+    it('should save in-place changes of nested objects by default', async () => {
+      const store = new session.MemoryStore();
+      const server = createServer({ store, resave: false }, (req, res) => {
+        req.session.cart ??= { items: [] };
+        req.session.cart.items.push(req.url);
+        res.end(String(req.session.cart.items.length));
+      });
+
+      const res = await fetch(server, '/').expect(200, '1');
+      await fetch(server, '/', { headers: { Cookie: cookie(res) } }).expect(200, '2');
+      await fetch(server, '/', { headers: { Cookie: cookie(res) } }).expect(200, '3');
+    });
+
+    it('should save in-place changes of nested objects marked as modified when "flags"', async () => {
+      const store = new session.MemoryStore();
+      const server = createServer({ store, resave: false, tracking: 'flags' }, (req, res) => {
+        req.session.user ??= { visits: [] };
+        req.session.user.visits.push(req.url);
+
+        if (req.url === '/mark') {
+          req.session.markModified();
+        }
+
+        res.end(String(req.session.user.visits.length));
+      });
+
+      const res = await fetch(server, '/').expect(200, '1');
+      await fetch(server, '/', { headers: { Cookie: cookie(res) } }).expect(200, '2');
+      await fetch(server, '/mark', { headers: { Cookie: cookie(res) } }).expect(200, '2');
+      await fetch(server, '/', { headers: { Cookie: cookie(res) } }).expect(200, '3');
+    });
+
+    it('should not serialize session to detect modifications by default', async () => {
+      let serialized = 0;
+      const serializer = {
+        parse: JSON.parse,
+        stringify(value) {
+          serialized++;
+          return JSON.stringify(value);
+        }
+      };
+      const server = createServer({ store: new SmartStore(), serializer, resave: false }, (req, res) => {
+        req.session.user = 'tj';
+        res.end();
+      });
+
+      const res = await fetch(server, '/').expect(200);
+      serialized = 0;
+      await fetch(server, '/', { headers: { Cookie: cookie(res) } }).expect(200);
+      assert.strictEqual(serialized, 0);
+    });
+
+    it('should save changes of nested objects when "proxy"', async () => {
+      const store = new session.MemoryStore();
+      const server = createServer({ store, tracking: 'proxy' }, (req, res) => {
+        req.session.user ??= { visits: [] };
+        req.session.user.visits.push(req.url);
+        res.end(String(req.session.user.visits.length));
+      });
+
+      const res = await fetch(server, '/').expect(200, '1');
+      await fetch(server, '/', { headers: { Cookie: cookie(res) } }).expect(200, '2');
+      await fetch(server, '/', { headers: { Cookie: cookie(res) } }).expect(200, '3');
+    });
+
+    it('should not save session set to the same values when "proxy"', async () => {
+      const store = new session.MemoryStore();
+      const server = createServer({ store, resave: false, tracking: 'proxy' }, (req, res) => {
+        req.session.user = 'tj';
+        res.end();
+      });
+
+      const res = await fetch(server, '/').expect(200);
+      const check = shouldNotSetSessionInStore(store);
+      await fetch(server, '/', { headers: { Cookie: cookie(res) } }).expect(200);
+      check();
+    });
+
+    it('should hash session when "hash"', async () => {
+      const store = new session.MemoryStore();
+      const server = createServer({ store, resave: false, tracking: 'hash' }, (req, res) => {
+        req.session.user = { name: 'tj' };
+        res.end();
+      });
+
+      const res = await fetch(server, '/').expect(200);
+      const check = shouldNotSetSessionInStore(store);
+      await fetch(server, '/', { headers: { Cookie: cookie(res) } }).expect(200);
+      check();
+    });
+
+    it('should detect in-place changes of other objects when "hash"', async () => {
+      const store = new session.MemoryStore();
+      const server = createServer({ store, tracking: 'hash' }, (req, res) => {
+        req.session.date = new Date(0);
+        req.session.save(() => {
+          req.session.date.setTime(1000);
+          res.end();
+        });
+      });
+
+      const res = await fetch(server, '/').expect(200);
+
+      const sess = await storeGet(store, sid(res));
+      assert.strictEqual(sess.date, new Date(1000).toISOString());
     });
   });
 
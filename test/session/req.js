@@ -5,7 +5,7 @@ const timers = require('node:timers/promises');
 const http = require('node:http');
 
 const utils = require('../support/utils');
-const { cookie, storeGet, storeLoad } = utils;
+const { cookie, storeGet, storeLen, storeLoad } = utils;
 const SmartStore = require('../support/smart-store');
 
 const session = require('../../');
@@ -116,6 +116,30 @@ describe('req.session', () => {
 
       await fetch(server, '/').expect('Set-Cookie', null).expect(200, 'undefined');
     });
+
+    it('should return a promise without callback', async () => {
+      const store = new session.MemoryStore();
+      const server = createServer({ store }, async (req, res) => {
+        req.session.hit = true;
+        await req.session.save();
+        await req.session.destroy();
+        res.end(String(req.session));
+      });
+
+      await fetch(server, '/').expect('Set-Cookie', null).expect(200, 'undefined');
+      assert.strictEqual(await storeLen(store), 0);
+    });
+
+    it('should return session for chaining with callback', async () => {
+      const server = createServer(null, (req, res) => {
+        const sess = req.session;
+        const ret = sess.destroy(() => {
+          res.end(String(ret === sess));
+        });
+      });
+
+      await fetch(server, '/').expect(200, 'true');
+    });
   });
 
   describe('.regenerate()', () => {
@@ -138,6 +162,24 @@ describe('req.session', () => {
         .expect(200, 'false');
       shouldSetCookieToDifferentSessionId(utils.sid(res))(res2);
     });
+
+    it('should return a promise without callback', async () => {
+      const server = createServer(null, async (req, res) => {
+        const id = req.session.id;
+        await req.session.regenerate();
+        res.end(String(req.session.id === id));
+      });
+
+      const res = await fetch(server, '/')
+        .expect('Set-Cookie', /connect\.sid/)
+        .expect(200);
+      const res2 = await fetch(server, '/', {
+        headers: { Cookie: cookie(res) }
+      })
+        .expect('Set-Cookie', /connect\.sid/)
+        .expect(200, 'false');
+      shouldSetCookieToDifferentSessionId(utils.sid(res))(res2);
+    });
   });
 
   describe('.reload()', () => {
@@ -194,6 +236,47 @@ describe('req.session', () => {
       await fetch(server, '/foo', { headers: { Cookie: cookie(res) } }).expect(500, 'failed to load session');
     });
 
+    it('should return a promise without callback', async () => {
+      const store = new session.MemoryStore();
+      const server = createServer({ store }, async (req, res) => {
+        if (req.url === '/') {
+          req.session.active = true;
+          res.end('session created');
+          return;
+        }
+
+        req.session.active = false;
+        await req.session.reload();
+        res.end(String(req.session.active));
+      });
+
+      const res = await fetch(server, '/').expect(200, 'session created');
+      await fetch(server, '/foo', { headers: { Cookie: cookie(res) } }).expect(200, 'true');
+    });
+
+    it('should reject promise if session missing', async () => {
+      const store = new session.MemoryStore();
+      const server = createServer({ store }, async (req, res) => {
+        if (req.url === '/') {
+          req.session.active = true;
+          res.end('session created');
+          return;
+        }
+
+        await store.clear();
+        try {
+          await req.session.reload();
+          res.end();
+        } catch (err) {
+          res.statusCode = 500;
+          res.end(err.message);
+        }
+      });
+
+      const res = await fetch(server, '/').expect(200, 'session created');
+      await fetch(server, '/foo', { headers: { Cookie: cookie(res) } }).expect(500, 'failed to load session');
+    });
+
     it('should not override an overriden `reload` in case of errors', async () => {
       const store = new session.MemoryStore();
       const server = createServer({ store, resave: false }, (req, res) => {
@@ -249,6 +332,38 @@ describe('req.session', () => {
       await fetch(server, '/').expect(200, 'stored');
     });
 
+    it('should return a promise without callback', async () => {
+      const store = new session.MemoryStore();
+      const server = createServer({ store }, async (req, res) => {
+        req.session.hit = true;
+        await req.session.save();
+        const sess = await store.get(req.session.id);
+        res.end(sess ? 'stored' : 'empty');
+      });
+
+      const check = shouldSetSessionInStore(store);
+      await fetch(server, '/').expect(200, 'stored');
+      check();
+    });
+
+    it('should reject promise on store error', async () => {
+      const store = new session.MemoryStore();
+      const server = createServer({ store }, async (req, res) => {
+        req.session.hit = true;
+        store.set = async () => {
+          throw new Error('boom!');
+        };
+        try {
+          await req.session.save();
+          res.end('saved');
+        } catch (err) {
+          res.end(err.message);
+        }
+      });
+
+      await fetch(server, '/').expect(200, 'boom!');
+    });
+
     it('should prevent end-of-request save', async () => {
       const store = new session.MemoryStore();
       const server = createServer({ store }, (req, res) => {
@@ -289,6 +404,127 @@ describe('req.session', () => {
       check();
     });
 
+    it('should patch changed keys of stored session', async () => {
+      const store = new session.MemoryStore();
+      const server = createServer({ store }, (req, res) => {
+        if (req.url === '/init') {
+          req.session.user = 'tj';
+          req.session.count = 0;
+          req.session.flash = 'hi';
+        } else {
+          req.session.count++;
+          delete req.session.flash;
+        }
+        res.end();
+      });
+
+      const res = await fetch(server, '/init').expect(200);
+
+      const patches = [];
+      const _patch = store.patch;
+      store.patch = function (...args) {
+        patches.push(args.slice(0, 3));
+        return _patch.apply(this, args);
+      };
+
+      await fetch(server, '/', { headers: { Cookie: cookie(res) } }).expect(200);
+
+      assert.strictEqual(patches.length, 1);
+      const [id, changes, removedKeys] = patches[0];
+      assert.deepStrictEqual(Object.keys(changes), ['cookie', 'count']);
+      assert.deepStrictEqual(removedKeys, ['flash']);
+
+      const sess = await storeGet(store, id);
+      assert.strictEqual(sess.user, 'tj');
+      assert.strictEqual(sess.count, 1);
+      assert.ok(!('flash' in sess));
+    });
+
+    it('should set whole session missing in store on patch', async () => {
+      const store = new session.MemoryStore({ max: 1 });
+      const server = createServer({ store }, async (req, res) => {
+        if (req.url === '/init') {
+          req.session.user = 'tj';
+          req.session.count = 0;
+        } else {
+          // session is evicted by another one
+          await store.set('other', { cookie: { expires: null } });
+          req.session.count++;
+        }
+        res.end();
+      });
+
+      const res = await fetch(server, '/init').expect(200);
+      await fetch(server, '/', { headers: { Cookie: cookie(res) } }).expect(200);
+
+      const sess = await storeGet(store, utils.sid(res));
+      assert.strictEqual(sess.user, 'tj');
+      assert.strictEqual(sess.count, 1);
+    });
+
+    it('should not patch session ID rotated meanwhile', async () => {
+      const store = new session.MemoryStore();
+      const server = createServer({ store, rotate: { interval: 60 * 1000 } }, (req, res) => {
+        req.session.count = (req.session.count || 0) + 1;
+        res.end();
+      });
+
+      const res = await fetch(server, '/').expect(200);
+      const id = utils.sid(res);
+
+      const _patch = store.patch;
+      store.patch = function (sid, changes, removedKeys, callback) {
+        if (sid !== id) {
+          return _patch.call(this, sid, changes, removedKeys, callback);
+        }
+
+        // another request rotates the session ID right before it is patched
+        store
+          .get(id)
+          .then(sess => store.set('rotated', sess))
+          .then(() => store.set(id, { cookie: { expires: new Date(Date.now() + 60 * 1000), rotatedTo: 'rotated' } }))
+          .then(() => _patch.call(this, sid, changes, removedKeys, callback));
+      };
+
+      await fetch(server, '/', { headers: { Cookie: cookie(res) } }).expect(200);
+
+      assert.strictEqual((await storeGet(store, id)).cookie.rotatedTo, 'rotated');
+      assert.strictEqual((await storeGet(store, 'rotated')).count, 2);
+    });
+
+    it('should set session in store without patch', async () => {
+      const store = new SmartStore();
+      const server = createServer({ store }, (req, res) => {
+        req.session.count = (req.session.count || 0) + 1;
+        res.end(String(req.session.count));
+      });
+
+      const res = await fetch(server, '/').expect(200, '1');
+      const check = shouldSetSessionInStore(store);
+      await fetch(server, '/', { headers: { Cookie: cookie(res) } }).expect(200, '2');
+      check();
+    });
+
+    it('should not serialize session keys for store without patch', async () => {
+      let serialized = 0;
+      const serializer = {
+        parse: JSON.parse,
+        stringify(value) {
+          serialized++;
+          return JSON.stringify(value);
+        }
+      };
+      const server = createServer({ store: new SmartStore(), serializer, tracking: 'proxy' }, (req, res) => {
+        req.session.count = (req.session.count || 0) + 1;
+        res.end(String(req.session.count));
+      });
+
+      const res = await fetch(server, '/').expect(200, '1');
+      serialized = 0;
+      await fetch(server, '/', { headers: { Cookie: cookie(res) } }).expect(200, '2');
+      assert.strictEqual(serialized, 0);
+    });
+
     describe('when saveUninitialized is false', () => {
       it('should prevent end-of-request save', async () => {
         const store = new session.MemoryStore();
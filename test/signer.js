@@ -0,0 +1,43 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { sign } = require('cookie-signature');
+const Signer = require('../session/signer');
+
+describe('Signer', () => {
+  it('should sign and unsign', () => {
+    const signer = new Signer(['tobo']);
+    const signed = signer.sign('hello');
+
+    assert.ok(signed.startsWith('hello.'));
+    assert.deepStrictEqual(signer.unsign(signed), { value: 'hello', index: 0 });
+  });
+
+  it('should be compatible with cookie-signature', () => {
+    const signer = new Signer(['tobo']);
+
+    assert.strictEqual(signer.sign('hello'), sign('hello', 'tobo'));
+    assert.deepStrictEqual(signer.unsign(sign('hel.lo', 'tobo')), { value: 'hel.lo', index: 0 });
+  });
+
+  it('should unsign with any secret', () => {
+    const signed = new Signer([Buffer.from('old')]).sign('hello');
+
+    assert.deepStrictEqual(new Signer(['new', Buffer.from('old')]).unsign(signed), { value: 'hello', index: 1 });
+    assert.strictEqual(new Signer(['new']).unsign(signed), undefined);
+  });
+
+  it('should reject invalid values', () => {
+    const signer = new Signer(['tobo']);
+
+    assert.strictEqual(signer.unsign('hello'), undefined);
+    assert.strictEqual(signer.unsign(`${signer.sign('hello')}A`), undefined);
+    assert.strictEqual(signer.unsign(signer.sign('hello').replace('hello', 'hallo')), undefined);
+  });
+
+  it('should reject invalid secrets', () => {
+    assert.throws(() => new Signer(), /secrets must be a non-empty array/);
+    assert.throws(() => new Signer([]), /secrets must be a non-empty array/);
+    assert.throws(() => new Signer(['']), /secrets must be non-empty/);
+    assert.throws(() => new Signer([42]), /secrets must be non-empty/);
+  });
+});
@@ -0,0 +1,158 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const timers = require('node:timers/promises');
+const { fetch } = require('supertest-fetch');
+
+const session = require('../');
+const utils = require('./support/utils');
+const { cookie } = utils;
+const { createServer } = require('./support/server');
+
+const hasSqlite = (() => {
+  try {
+    require('node:sqlite');
+    return true;
+  } catch {
+    return false;
+  }
+})();
+
+describe('SqliteStore', { skip: !hasSqlite && 'node:sqlite not available' }, () => {
+  it('should reject invalid options', () => {
+    assert.throws(() => new session.SqliteStore({ table: 'foo; DROP' }), /table option/);
+    assert.throws(() => new session.SqliteStore({ pruneInterval: 0 }), /pruneInterval option/);
+  });
+
+  it('should set and get session', async () => {
+    const store = new session.SqliteStore();
+    const sess = { cookie: { maxAge: 2000 }, name: 'tj' };
+
+    await store.set('123', sess);
+    assert.deepStrictEqual(await store.get('123'), sess);
+    assert.strictEqual(await store.get('456'), undefined);
+
+    sess.name = 'bob';
+    await store.set('123', sess);
+    assert.strictEqual((await store.get('123')).name, 'bob');
+    store.close();
+  });
+
+  it('should support callbacks', async () => {
+    const store = new session.SqliteStore();
+    await utils.storeSet(store, '123', { cookie: {}, name: 'tj' });
+    const sess = await utils.storeGet(store, '123');
+    assert.strictEqual(sess.name, 'tj');
+    assert.strictEqual(await utils.storeLen(store), 1);
+    await utils.storeClear(store);
+    assert.strictEqual(await utils.storeLen(store), 0);
+    store.close();
+  });
+
+  it('should pass errors', async () => {
+    const store = new session.SqliteStore();
+    store.close();
+    await assert.rejects(store.get('123'));
+  });
+
+  it('should ignore expired sessions', async () => {
+    const store = new session.SqliteStore();
+
+    await store.set('1', { cookie: { expires: new Date(Date.now() - 1) } });
+    await store.set('2', { cookie: { expires: new Date(Date.now() + 60000) } });
+    await store.set('3', { cookie: { expires: null } });
+
+    assert.strictEqual(await store.get('1'), undefined);
+    assert.deepStrictEqual(Object.keys(await store.all()).sort(), ['2', '3']);
+    assert.strictEqual(await store.length(), 2);
+    store.close();
+  });
+
+  it('should destroy session', async () => {
+    const store = new session.SqliteStore();
+    await store.set('123', { cookie: {} });
+    await store.destroy('123');
+    assert.strictEqual(await store.length(), 0);
+    store.close();
+  });
+
+  it('should touch session', async () => {
+    const store = new session.SqliteStore();
+    await store.set('123', { cookie: { expires: new Date(Date.now() + 1000) }, name: 'tj' });
+
+    const expires = new Date(Date.now() + 5000);
+    await store.touch('123', { cookie: { expires }, name: 'ignored' });
+    await store.touch('456', { cookie: { expires } });
+
+    const sess = await store.get('123');
+    assert.strictEqual(sess.name, 'tj');
+    assert.strictEqual(sess.cookie.expires, expires.toISOString());
+    assert.strictEqual(await store.length(), 1);
+    store.close();
+  });
+
+  it('should use serializer', async () => {
+    const store = new session.SqliteStore();
+    store.serializer = session.taggedJSON;
+    await store.set('123', { cookie: { expires: null }, date: new Date(1000) });
+
+    const expires = new Date(Date.now() + 5000);
+    await store.touch('123', { cookie: { expires } });
+
+    const sess = await store.get('123');
+    assert.deepStrictEqual(sess.date, new Date(1000));
+    assert.deepStrictEqual(sess.cookie.expires, expires);
+    store.close();
+  });
+
+  it('should prune expired sessions', async () => {
+    const store = new session.SqliteStore();
+    await store.set('1', { cookie: { expires: new Date(Date.now() - 1) } });
+    await store.set('2', { cookie: {} });
+    await store.prune();
+
+    const rows = store.db.prepare('SELECT sid FROM sessions').all();
+    assert.deepStrictEqual(
+      rows.map(row => row.sid),
+      ['2']
+    );
+    store.close();
+  });
+
+  it('should prune expired sessions in background', async () => {
+    const store = new session.SqliteStore({ pruneInterval: 10 });
+    assert.strictEqual(store.pruneTimer.hasRef(), false);
+
+    await store.set('1', { cookie: { expires: new Date(Date.now() + 5) } });
+    await timers.setTimeout(50);
+
+    const { count } = store.db.prepare('SELECT count(*) AS count FROM sessions').get();
+    assert.strictEqual(count, 0);
+    store.close();
+  });
+
+  it('should use provided database and table', async () => {
+    const { DatabaseSync } = require('node:sqlite');
+    const database = new DatabaseSync(':memory:');
+    const store = new session.SqliteStore({ database, table: 'web_sessions' });
+
+    await store.set('123', { cookie: {} });
+    store.close();
+
+    const { count } = database.prepare('SELECT count(*) AS count FROM web_sessions').get();
+    assert.strictEqual(count, 1);
+    database.close();
+  });
+
+  it('should persist sessions', async () => {
+    const store = new session.SqliteStore();
+    const server = createServer({ store }, (req, res) => {
+      req.session.count ??= 0;
+      req.session.count++;
+      res.end(`hits: ${req.session.count}`);
+    });
+
+    const res = await fetch(server, '/').expect(200, 'hits: 1');
+    await fetch(server, '/', { headers: { Cookie: cookie(res) } }).expect(200, 'hits: 2');
+    store.close();
+  });
+});
@@ -0,0 +1,28 @@
+const session = require('../../');
+
+class AsyncStore extends session.Store {
+  sessions = Object.create(null);
+
+  async destroy(sid) {
+    delete this.sessions[sid];
+  }
+
+  async get(sid) {
+    const sess = this.sessions[sid];
+    return sess && JSON.parse(sess);
+  }
+
+  async set(sid, sess) {
+    this.sessions[sid] = JSON.stringify(sess);
+  }
+
+  async touch(sid, sess) {
+    const current = await this.get(sid);
+    if (current) {
+      current.cookie = sess.cookie;
+      await this.set(sid, current);
+    }
+  }
+}
+
+module.exports = AsyncStore;
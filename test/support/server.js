@@ -30,6 +30,8 @@ function createRequestListener(options, respond = end) {
   const { secret = 'keyboard cat', ...opts } = options ?? {};
   const _session = createSession(opts);
 
+  // expose middleware for listening to its events
+  onRequest.middleware = _session;
   return onRequest;
 
   function onRequest(req, res) {
@@ -15,18 +15,17 @@ module.exports = {
 };
 
 function shouldSetSessionInStore(store, delay) {
-  const _set = store.set;
   let count = 0;
 
-  store.set = function set(...args) {
+  spyOnWrites(store, (write, args) => {
     count++;
 
     if (!delay) {
-      return _set.apply(this, args);
+      return write(args);
     }
 
-    setTimeout(() => _set.apply(this, args), delay);
-  };
+    setTimeout(() => write(args), delay);
+  });
 
   return () => {
     assert.ok(count === 1, 'should set session in store');
@@ -40,13 +39,12 @@ function shouldNotHaveHeader(header) {
 }
 
 function shouldNotSetSessionInStore(store) {
-  const _set = store.set;
   let count = 0;
 
-  store.set = function set(...args) {
+  spyOnWrites(store, (write, args) => {
     count++;
-    return _set.apply(this, args);
-  };
+    return write(args);
+  });
 
   return () => {
     assert.ok(count === 0, 'should not set session in store');
@@ -124,3 +122,18 @@ function shouldSetCookieWithoutAttribute(name, attrib) {
     assert.ok(!(attrib.toLowerCase() in data), `should set cookie without attribute ${attrib}`);
   };
 }
+
+// intercept store methods writing whole or partial sessions
+function spyOnWrites(store, spy) {
+  for (const method of ['set', 'patch']) {
+    const _write = store[method];
+
+    if (typeof _write !== 'function') {
+      continue;
+    }
+
+    store[method] = function (...args) {
+      return spy(args => _write.apply(this, args), args);
+    };
+  }
+}
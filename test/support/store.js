@@ -0,0 +1,68 @@
+const { it } = require('node:test');
+const assert = require('node:assert');
+const { fetch } = require('supertest-fetch');
+
+const session = require('../../');
+const utils = require('./utils');
+const { createServer } = require('./server');
+
+module.exports = {
+  shouldStoreSessions
+};
+
+function shouldStoreSessions(createStore) {
+  const sess = { cookie: { expires: null }, user: 'tj' };
+
+  it('should set, get and remove sessions', async () => {
+    const store = createStore();
+
+    await store.set('1', sess);
+    await store.set('2', { ...sess, user: 'tobi' });
+
+    assert.deepStrictEqual(await store.get('1'), sess);
+    assert.strictEqual(await store.get('3'), undefined);
+
+    const sessions = await store.all();
+    assert.deepStrictEqual(Object.keys(sessions).sort(), ['1', '2']);
+    assert.strictEqual(sessions[2].user, 'tobi');
+    assert.strictEqual(await store.length(), 2);
+
+    await store.destroy('1');
+    assert.strictEqual(await store.get('1'), undefined);
+    await store.clear();
+    assert.strictEqual(await store.length(), 0);
+  });
+
+  it('should touch session', async () => {
+    const store = createStore();
+
+    await store.set('123', sess);
+    await store.touch('123', { ...sess, cookie: { expires: null, maxAge: 5000 } });
+
+    const loaded = await store.get('123');
+    assert.strictEqual(loaded.cookie.maxAge, 5000);
+    assert.strictEqual(loaded.user, 'tj');
+  });
+
+  it('should support callbacks', async () => {
+    const store = createStore();
+
+    await utils.storeSet(store, '123', sess);
+    assert.deepStrictEqual(await utils.storeGet(store, '123'), sess);
+    assert.strictEqual(await utils.storeLen(store), 1);
+    await utils.storeClear(store);
+    assert.strictEqual(await utils.storeLen(store), 0);
+  });
+
+  it('should keep sessions with middleware', async () => {
+    const store = createStore();
+    const server = createServer({ store, serializer: session.taggedJSON }, (req, res) => {
+      req.session.since ??= new Date(1000);
+      req.session.count = (req.session.count || 0) + 1;
+      res.end(`${req.session.count} ${req.session.since.getTime()}`);
+    });
+
+    const res = await fetch(server, '/').expect(200, '1 1000');
+    await fetch(server, '/', { headers: { Cookie: utils.cookie(res) } }).expect(200, '2 1000');
+  });
+}
@@ -0,0 +1,246 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { fetch } = require('supertest-fetch');
+
+const session = require('../');
+const utils = require('./support/utils');
+const { cookie, sid } = utils;
+const { createServer } = require('./support/server');
+const { shouldStoreSessions } = require('./support/store');
+
+describe('TieredStore', () => {
+  const sess = { cookie: { expires: null }, user: 'tj' };
+
+  function createStore(options) {
+    const inner = new session.MemoryStore();
+    const store = new session.TieredStore(inner, options);
+    const gets = [];
+    const get = inner.get;
+    inner.get = function (sessionId, callback) {
+      gets.push(sessionId);
+      return get.call(this, sessionId, callback);
+    };
+    return { inner, store, gets };
+  }
+
+  shouldStoreSessions(() => createStore().store);
+
+  it('should reject invalid arguments', () => {
+    assert.throws(() => new session.TieredStore(), /store must implement/);
+    assert.throws(() => createStore({ mode: 'write-around' }), /mode option must be/);
+    assert.throws(() => createStore({ max: 0 }), /max option must be/);
+  });
+
+  it('should cache sessions read from wrapped store', async () => {
+    const { inner, store, gets } = createStore();
+
+    await inner.set('123', sess);
+
+    assert.deepStrictEqual(await store.get('123'), sess);
+    assert.deepStrictEqual(await store.get('123'), sess);
+    assert.strictEqual(await store.get('456'), undefined);
+    assert.deepStrictEqual(gets, ['123', '456']);
+  });
+
+  it('should write through to wrapped store', async () => {
+    const { inner, store, gets } = createStore();
+
+    await store.set('123', sess);
+
+    assert.deepStrictEqual(await store.get('123'), sess);
+    assert.deepStrictEqual(gets, []);
+    assert.deepStrictEqual(await inner.get('123'), sess);
+  });
+
+  it('should not cache session if write through fails', async () => {
+    const { inner, store } = createStore();
+
+    inner.set = (_sessionId, _session, callback) => callback(new Error('boom!'));
+
+    await assert.rejects(store.set('123', sess), /boom!/);
+    assert.strictEqual(await store.cache.get('123'), undefined);
+  });
+
+  it('should write behind to wrapped store', async () => {
+    const { inner, store } = createStore({ mode: 'write-behind' });
+    const data = { ...sess };
+
+    await store.set('123', data);
+    data.user = 'tobi';
+
+    assert.deepStrictEqual(await store.get('123'), sess);
+    await store.flush();
+    assert.deepStrictEqual(await inner.get('123'), sess);
+    assert.strictEqual(store.pending.size, 0);
+  });
+
+  it('should write behind in order', async () => {
+    const { inner, store } = createStore({ mode: 'write-behind' });
+
+    await store.set('123', sess);
+    await store.set('123', { ...sess, user: 'tobi' });
+    await store.destroy('123');
+    await store.set('456', sess);
+
+    assert.strictEqual(await store.length(), 1);
+    assert.strictEqual(await inner.get('123'), undefined);
+    assert.deepStrictEqual(await inner.get('456'), sess);
+  });
+
+  it('should not read destroyed session before it is deleted from wrapped store', async () => {
+    const { inner, store } = createStore({ mode: 'write-behind' });
+    const destroy = inner.destroy;
+    inner.destroy = function (sessionId, callback) {
+      setTimeout(() => destroy.call(this, sessionId, callback), 20);
+    };
+
+    await store.set('123', sess);
+    await store.destroy('123');
+
+    assert.strictEqual(await store.get('123'), undefined);
+    await store.flush();
+    assert.strictEqual(await store.get('123'), undefined);
+    assert.strictEqual(await inner.get('123'), undefined);
+  });
+
+  it('should not cache session destroyed while it is read', async () => {
+    const { inner, store } = createStore();
+    const get = inner.get;
+    inner.get = function (sessionId, callback) {
+      get.call(this, sessionId, (err, sess) => setTimeout(callback, 20, err, sess));
+    };
+
+    await inner.set('123', sess);
+    const read = store.get('123');
+    await new Promise(resolve => setTimeout(resolve, 5));
+    await store.destroy('123');
+
+    assert.deepStrictEqual(await read, sess);
+    assert.strictEqual(await store.cache.get('123'), undefined);
+    assert.strictEqual(await store.get('123'), undefined);
+  });
+
+  it('should emit error of failed background writes', async () => {
+    const { inner, store } = createStore({ mode: 'write-behind' });
+    const errors = [];
+
+    inner.set = (_sessionId, _session, callback) => callback(new Error('boom!'));
+
+    await store.set('123', sess);
+    await store.flush();
+
+    store.on('error', err => errors.push(err.message));
+    await store.set('123', sess);
+    await store.flush();
+
+    assert.deepStrictEqual(errors, ['boom!']);
+  });
+
+  it('should expire cached sessions with cookie', async () => {
+    const { inner, store, gets } = createStore();
+    const expires = new Date(Date.now() + 50);
+
+    await store.set('123', { cookie: { expires }, user: 'tj' });
+    await inner.set('123', { ...sess, user: 'tobi' });
+
+    assert.strictEqual((await store.get('123')).user, 'tj');
+    await new Promise(resolve => setTimeout(resolve, 60));
+    assert.strictEqual((await store.get('123')).user, 'tobi');
+    assert.deepStrictEqual(gets, ['123']);
+  });
+
+  it('should evict least recently used sessions', async () => {
+    const { store, gets } = createStore({ max: 2 });
+
+    await store.set('1', sess);
+    await store.set('2', sess);
+    await store.get('1');
+    await store.set('3', sess);
+
+    await store.get('1');
+    await store.get('3');
+    assert.deepStrictEqual(gets, []);
+    await store.get('2');
+    assert.deepStrictEqual(gets, ['2']);
+  });
+
+  it('should invalidate cached session', async () => {
+    const { inner, store } = createStore();
+
+    await store.set('123', sess);
+    await inner.set('123', { ...sess, user: 'tobi' });
+    await store.invalidate('123');
+
+    assert.strictEqual((await store.get('123')).user, 'tobi');
+  });
+
+  it('should destroy session in wrapped store', async () => {
+    const { inner, store } = createStore();
+
+    await store.set('123', sess);
+    await store.destroy('123');
+
+    assert.strictEqual(await store.get('123'), undefined);
+    assert.strictEqual(await inner.get('123'), undefined);
+  });
+
+  it('should touch session in wrapped store', async () => {
+    const { inner, store } = createStore();
+
+    await store.set('123', sess);
+    await store.touch('123', { ...sess, cookie: { expires: null, maxAge: 5000 } });
+
+    assert.strictEqual((await store.get('123')).cookie.maxAge, 5000);
+    assert.strictEqual((await inner.get('123')).cookie.maxAge, 5000);
+  });
+
+  it('should get all sessions pending write behind', async () => {
+    const { store } = createStore({ mode: 'write-behind' });
+
+    await store.set('1', sess);
+    await store.set('2', sess);
+
+    assert.deepStrictEqual(await store.all(), Object.assign(Object.create(null), { 1: sess, 2: sess }));
+    await store.clear();
+    assert.strictEqual(await store.length(), 0);
+    assert.strictEqual(await store.get('1'), undefined);
+  });
+
+  it('should invalidate regenerated session', async () => {
+    const { inner, store } = createStore();
+    const server = createServer({ store }, (req, res) => {
+      if (req.url === '/regenerate') {
+        req.session.regenerate(err => res.end(String(err ?? req.session.user)));
+        return;
+      }
+      req.session.user = 'tj';
+      res.end();
+    });
+
+    const res = await fetch(server, '/').expect(200);
+    await fetch(server, '/regenerate', { headers: { Cookie: cookie(res) } }).expect(200, 'undefined');
+    assert.strictEqual(await store.cache.get(sid(res)), undefined);
+    assert.strictEqual(await inner.get(sid(res)), undefined);
+  });
+
+  it('should share serializer with wrapped store and cache', () => {
+    const { inner, store } = createStore();
+
+    store.serializer = session.taggedJSON;
+
+    assert.strictEqual(inner.serializer, session.taggedJSON);
+    assert.strictEqual(store.cache.serializer, session.taggedJSON);
+  });
+
+  it('should forward connect and disconnect events', () => {
+    const { inner, store } = createStore();
+    const events = [];
+
+    store.on('connect', () => events.push('connect'));
+    store.on('disconnect', () => events.push('disconnect'));
+    inner.emit('disconnect');
+    inner.emit('connect');
+
+    assert.deepStrictEqual(events, ['disconnect', 'connect']);
+  });
+});
@@ -0,0 +1,119 @@
+const { afterEach, beforeEach, describe, it } = require('node:test');
+const assert = require('node:assert');
+const diagnostics = require('node:diagnostics_channel');
+const { fetch } = require('supertest-fetch');
+
+const session = require('../');
+const utils = require('./support/utils');
+const { cookie, sid } = utils;
+const { createServer } = require('./support/server');
+
+describe('tracing channels', () => {
+  const OPERATIONS = ['destroy', 'get', 'load', 'regenerate', 'set', 'touch'];
+  let events;
+  let subscriptions;
+
+  beforeEach(() => {
+    events = [];
+    subscriptions = OPERATIONS.map(operation => {
+      const channel = diagnostics.tracingChannel(`connect-session:${operation}`);
+      const handlers = {
+        start: context => events.push({ operation, event: 'start', context }),
+        end: () => {},
+        asyncStart: context => events.push({ operation, event: 'asyncStart', context }),
+        asyncEnd: () => {},
+        error: context => events.push({ operation, event: 'error', context })
+      };
+      channel.subscribe(handlers);
+      return { channel, handlers };
+    });
+  });
+
+  afterEach(() => {
+    for (const { channel, handlers } of subscriptions) {
+      channel.unsubscribe(handlers);
+    }
+  });
+
+  function started() {
+    return events.filter(({ event }) => event === 'start').map(({ operation }) => operation);
+  }
+
+  it('should trace store calls of the middleware', async () => {
+    const store = new session.MemoryStore();
+    const server = createServer({ store, resave: false }, (req, res) => {
+      req.session.user = 'tj';
+      res.end();
+    });
+
+    const res = await fetch(server, '/').expect(200);
+    await fetch(server, '/', { headers: { Cookie: cookie(res) } }).expect(200);
+
+    assert.deepStrictEqual(started(), ['set', 'load', 'get', 'touch']);
+    for (const { context } of events) {
+      assert.strictEqual(context.sessionID, sid(res));
+      assert.strictEqual(context.store, store);
+    }
+  });
+
+  it('should trace store calls of session methods', async () => {
+    const server = createServer(null, (req, res) => {
+      req.session.regenerate(() => {
+        req.session.destroy(() => res.end());
+      });
+    });
+
+    await fetch(server, '/').expect(200);
+
+    assert.deepStrictEqual(started(), ['regenerate', 'destroy', 'destroy']);
+    assert.strictEqual(events.find(({ event }) => event === 'start').context.method, 'regenerate');
+  });
+
+  it('should trace load of store', async () => {
+    const store = new session.MemoryStore();
+
+    await store.set('123', { cookie: { expires: null }, user: 'tj' });
+    events.length = 0;
+    const sess = await store.load('123');
+
+    assert.strictEqual(sess.user, 'tj');
+    assert.deepStrictEqual(started(), ['load', 'get']);
+    const { context } = events.find(({ operation, event }) => operation === 'load' && event === 'asyncStart');
+    assert.strictEqual(context.result.user, 'tj');
+  });
+
+  it('should trace store calls of wrapped stores once', async () => {
+    const store = new session.TieredStore(new session.MemoryStore());
+    const server = createServer({ store, resave: false }, (req, res) => {
+      req.session.user = 'tj';
+      res.end();
+    });
+
+    const res = await fetch(server, '/').expect(200);
+    await store.invalidate(sid(res));
+    await fetch(server, '/', { headers: { Cookie: cookie(res) } }).expect(200);
+
+    assert.deepStrictEqual(started(), ['set', 'load', 'get', 'touch']);
+    for (const { context } of events) {
+      assert.strictEqual(context.store, store);
+    }
+  });
+
+  it('should publish errors', async () => {
+    const store = new session.MemoryStore();
+    const server = createServer({ store });
+
+    const res = await fetch(server, '/').expect(200);
+    store.get = (_sid, callback) => setImmediate(callback, new Error('boom!'));
+    events.length = 0;
+
+    await fetch(server, '/', { headers: { Cookie: cookie(res) } }).expect(500, 'boom!');
+
+    const errors = events.filter(({ event }) => event === 'error');
+    assert.deepStrictEqual(
+      errors.map(({ operation }) => operation),
+      ['get', 'load']
+    );
+    assert.strictEqual(errors[0].context.error.message, 'boom!');
+  });
+});
@@ -0,0 +1,98 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const tracker = require('../session/tracker');
+
+describe('tracker', () => {
+  it('should count changes of properties', () => {
+    const sess = tracker.track({ cookie: {}, user: 'tj' });
+
+    assert.strictEqual(tracker.changes(sess), 0);
+    sess.user = 'bob';
+    assert.strictEqual(tracker.changes(sess), 1);
+    sess.count = 1;
+    assert.strictEqual(tracker.changes(sess), 2);
+    delete sess.count;
+    assert.strictEqual(tracker.changes(sess), 3);
+  });
+
+  it('should count changes of nested objects and arrays', () => {
+    const sess = tracker.track({ user: { name: 'tj' }, items: [] }, true);
+
+    sess.user.name = 'bob';
+    assert.strictEqual(tracker.changes(sess), 1);
+    sess.items.push('foo');
+    assert.ok(tracker.changes(sess) > 1);
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(sess)), { user: { name: 'bob' }, items: ['foo'] });
+  });
+
+  it('should keep nested values as they are unless deep', () => {
+    const user = { name: 'tj' };
+    const sess = tracker.track({ user });
+
+    assert.strictEqual(sess.user, user);
+    sess.user.name = 'bob';
+    assert.strictEqual(tracker.changes(sess), 0);
+  });
+
+  it('should count marked changes', () => {
+    const sess = tracker.track({ user: { name: 'tj' } });
+
+    sess.user.name = 'bob';
+    tracker.mark(sess);
+    assert.strictEqual(tracker.changes(sess), 1);
+  });
+
+  it('should ignore unchanged values', () => {
+    const sess = tracker.track({ user: 'tj', count: Number.NaN });
+
+    sess.user = 'tj';
+    sess.count = Number.NaN;
+    delete sess.missing;
+    assert.strictEqual(tracker.changes(sess), 0);
+  });
+
+  it('should ignore cookie and non-enumerable properties', () => {
+    const sess = tracker.track({ cookie: { maxAge: 1000 } });
+
+    sess.cookie.maxAge = 2000;
+    sess.cookie = { maxAge: 3000 };
+    Object.defineProperty(sess, 'hidden', { value: 1, writable: true });
+    sess.hidden = 2;
+    assert.strictEqual(tracker.changes(sess), 0);
+  });
+
+  it('should count in-place changes of maps, sets and dates', () => {
+    const sess = tracker.track({ date: new Date(0), map: new Map([['foo', { count: 1 }]]), set: new Set() }, true);
+
+    assert.strictEqual(sess.map.get('foo').count, 1);
+    assert.strictEqual(sess.map.size, 1);
+    assert.strictEqual(sess.date.getTime(), 0);
+    assert.strictEqual(tracker.changes(sess), 0);
+
+    sess.map.set('bar', 1).set('baz', 2);
+    assert.strictEqual(tracker.changes(sess), 2);
+    sess.map.get('foo').count++;
+    assert.strictEqual(tracker.changes(sess), 3);
+    sess.set.add('foo');
+    assert.strictEqual(tracker.changes(sess), 4);
+    sess.date.setTime(1000);
+    assert.strictEqual(tracker.changes(sess), 5);
+
+    assert.ok(sess.map instanceof Map);
+    assert.deepStrictEqual([...sess.set], ['foo']);
+    assert.strictEqual(JSON.stringify(sess.date), '"1970-01-01T00:00:01.000Z"');
+  });
+
+  it('should not wrap other objects', () => {
+    const buffer = Buffer.from('foo');
+    const sess = tracker.track({ buffer });
+
+    assert.strictEqual(sess.buffer, buffer);
+    sess.buffer[0] = 0;
+    assert.strictEqual(tracker.changes(sess), 0);
+  });
+
+  it('should return undefined for untracked objects', () => {
+    assert.strictEqual(tracker.changes({}), undefined);
+  });
+});